@@ -1,11 +1,16 @@
 #!/usr/bin/env node
 
-import { existsSync, mkdirSync, cpSync, readdirSync, readFileSync, writeFileSync, renameSync } from 'fs';
-import { join, dirname, sep, basename } from 'path';
+import { existsSync, mkdirSync, cpSync, readdirSync, readFileSync, writeFileSync, renameSync, rmSync, rmdirSync } from 'fs';
+import { join, dirname, sep, basename, delimiter, resolve } from 'path';
 import { fileURLToPath } from 'url';
 import { homedir, platform } from 'os';
+import { createHash } from 'crypto';
 import { createInterface } from 'readline';
 import { getProviderChoices, resolveProviders, PROVIDERS } from '../src/providers/index.js';
+import { mergeThreeWay } from '../src/merge.js';
+import { STACKS } from '../src/stacks.js';
+import { BACKENDS } from '../src/backends/index.js';
+import { COMMAND_FILES } from '../src/config.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -13,7 +18,12 @@ const TEMPLATES_DIR = join(__dirname, '..', 'templates');
 const CLAUDE_DIR = join(homedir(), '.claude');
 const CURSOR_DIR = join(homedir(), '.cursor', 'rules');
 const MANIFEST_FILE = join(CLAUDE_DIR, '.clauderc.json');
+const STATE_DIR = join(CLAUDE_DIR, '.clauderc');
+const BASE_DIR = join(STATE_DIR, 'base');
 const IS_WINDOWS = platform() === 'win32';
+// Shared by every backup of a run so rollback can group them
+const RUN_TIMESTAMP = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
+const BACKUP_PATTERN = /\.backup-(\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2})$/;
 
 const VERSION = '1.0.0';
 const AUTHOR = {
@@ -43,18 +53,29 @@ const c = supportsColors ? {
   reset: '', green: '', yellow: '', blue: '', cyan: '', magenta: '', red: '', dim: '', bold: '', underline: '',
 };
 
+// Human-readable output, silenced by --json so stdout only carries the result
+let jsonOutput = false;
+
+function out(...args) {
+  if (!jsonOutput) console.log(...args);
+}
+
+function emitJSON(result) {
+  console.log(JSON.stringify(result, null, 2));
+}
+
 const log = {
-  info: (msg) => console.log(`  ${c.blue}info${c.reset}  ${msg}`),
-  success: (msg) => console.log(`  ${c.green}done${c.reset}  ${msg}`),
-  warn: (msg) => console.log(`  ${c.yellow}skip${c.reset}  ${msg}`),
-  error: (msg) => console.log(`  ${c.red}fail${c.reset}  ${msg}`),
-  add: (msg) => console.log(`  ${c.green} +${c.reset}    ${msg}`),
-  update: (msg) => console.log(`  ${c.cyan} ~${c.reset}    ${msg}`),
-  remove: (msg) => console.log(`  ${c.red} -${c.reset}    ${msg}`),
+  info: (msg) => out(`  ${c.blue}info${c.reset}  ${msg}`),
+  success: (msg) => out(`  ${c.green}done${c.reset}  ${msg}`),
+  warn: (msg) => out(`  ${c.yellow}skip${c.reset}  ${msg}`),
+  error: (msg) => out(`  ${c.red}fail${c.reset}  ${msg}`),
+  add: (msg) => out(`  ${c.green} +${c.reset}    ${msg}`),
+  update: (msg) => out(`  ${c.cyan} ~${c.reset}    ${msg}`),
+  remove: (msg) => out(`  ${c.red} -${c.reset}    ${msg}`),
 };
 
 function banner() {
-  console.log(`
+  out(`
   ${c.cyan}${c.bold}╔═══════════════════════════════════════════════════════════╗${c.reset}
   ${c.cyan}${c.bold}║${c.reset}                                                           ${c.cyan}${c.bold}║${c.reset}
   ${c.cyan}${c.bold}║${c.reset}   ${c.bold}clauderc${c.reset}                                                ${c.cyan}${c.bold}║${c.reset}
@@ -96,6 +117,10 @@ function loadInstalledManifest() {
 }
 
 function saveInstalledManifest(manifest) {
+  // Keep the previous manifest with the run's backups so rollback can restore it
+  if (runBackups > 0) {
+    backupFile(MANIFEST_FILE);
+  }
   writeFileSync(MANIFEST_FILE, JSON.stringify(manifest, null, 2));
 }
 
@@ -116,6 +141,20 @@ function getDestPath(fileKey) {
   return join(CLAUDE_DIR, fileKey);
 }
 
+// Pristine copy of the last installed version, used as merge base on update
+function getBasePath(fileKey) {
+  return join(BASE_DIR, fileKey);
+}
+
+function saveBaseCopy(fileKey, fromPath) {
+  const basePath = getBasePath(fileKey);
+  ensureDir(dirname(basePath));
+  if (existsSync(basePath) && hashFile(basePath) !== hashFile(fromPath)) {
+    backupFile(basePath);
+  }
+  cpSync(fromPath, basePath);
+}
+
 function isNewer(v1, v2) {
   const parse = (v) => (v || '0.0.0').split('.').map(Number);
   const [a1, b1, c1] = parse(v1);
@@ -125,16 +164,69 @@ function isNewer(v1, v2) {
   return c1 > c2;
 }
 
+let runBackups = 0;
+
 function backupFile(filePath) {
   if (existsSync(filePath)) {
-    const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
-    const backupPath = `${filePath}.backup-${timestamp}`;
+    const backupPath = `${filePath}.backup-${RUN_TIMESTAMP}`;
     renameSync(filePath, backupPath);
+    runBackups++;
     return backupPath;
   }
   return null;
 }
 
+function findBackups(dir, recursive, found = []) {
+  if (!existsSync(dir)) return found;
+  for (const entry of readdirSync(dir, { withFileTypes: true })) {
+    const fullPath = join(dir, entry.name);
+    if (entry.isDirectory()) {
+      if (recursive) findBackups(fullPath, recursive, found);
+      continue;
+    }
+    const match = entry.name.match(BACKUP_PATTERN);
+    if (match) {
+      found.push({ backupPath: fullPath, targetPath: fullPath.replace(BACKUP_PATTERN, ''), timestamp: match[1] });
+    }
+  }
+  return found;
+}
+
+/**
+ * Collect backups from the directories clauderc manages, grouped by the run
+ * that created them (newest first)
+ */
+function loadBackupRuns() {
+  const backups = findBackups(CLAUDE_DIR, false);
+  for (const dir of ['agents', 'skills', 'commands', 'hooks', 'templates']) {
+    findBackups(join(CLAUDE_DIR, dir), true, backups);
+  }
+  findBackups(STATE_DIR, true, backups);
+  findBackups(CURSOR_DIR, true, backups);
+
+  const runs = new Map();
+  for (const backup of backups) {
+    if (!runs.has(backup.timestamp)) {
+      runs.set(backup.timestamp, { timestamp: backup.timestamp, date: parseBackupTimestamp(backup.timestamp), files: [] });
+    }
+    runs.get(backup.timestamp).files.push(backup);
+  }
+  return [...runs.values()].sort((a, b) => b.date - a.date);
+}
+
+function parseBackupTimestamp(timestamp) {
+  const [date, time] = timestamp.split('T');
+  return new Date(`${date}T${time.replace(/-/g, ':')}Z`);
+}
+
+function getFileKey(destPath) {
+  const cursorRoot = join(homedir(), '.cursor') + sep;
+  if (destPath.startsWith(cursorRoot)) {
+    return 'cursor/' + destPath.slice(cursorRoot.length).split(sep).join('/');
+  }
+  return destPath.slice(CLAUDE_DIR.length + 1).split(sep).join('/');
+}
+
 function copyFile(src, dest, options = {}) {
   const { backup = false, dryRun = false } = options;
   ensureDir(dirname(dest));
@@ -150,8 +242,53 @@ function copyFile(src, dest, options = {}) {
   return backupPath;
 }
 
+function getFileProvider(fileKey, pkg) {
+  return pkg?.files?.[fileKey]?.provider || (fileKey.startsWith('cursor/') ? 'cursor' : 'claude');
+}
+
+function hashFile(filePath) {
+  return createHash('sha256').update(readFileSync(filePath)).digest('hex');
+}
+
+/**
+ * Classify an installed file as 'missing', 'pristine' or 'modified'.
+ * Manifests written before hashes were recorded fall back to comparing
+ * against the current template.
+ */
+function getFileStatus(fileKey, fileMeta) {
+  const destPath = getDestPath(fileKey);
+  if (!existsSync(destPath)) return 'missing';
+  if (fileMeta?.hash) {
+    return hashFile(destPath) === fileMeta.hash ? 'pristine' : 'modified';
+  }
+  const srcPath = getSourcePath(fileKey);
+  if (!existsSync(srcPath)) return 'modified';
+  return hashFile(destPath) === hashFile(srcPath) ? 'pristine' : 'modified';
+}
+
+function removeEmptyDirs(dir, stopAt) {
+  if (!existsSync(dir) || !dir.startsWith(stopAt) || dir === stopAt) return;
+  const entries = readdirSync(dir, { withFileTypes: true });
+  for (const entry of entries) {
+    if (entry.isDirectory()) {
+      removeEmptyDirs(join(dir, entry.name), stopAt);
+    }
+  }
+  if (readdirSync(dir).length === 0) {
+    rmdirSync(dir);
+  }
+}
+
+async function confirm(question) {
+  if (!process.stdin.isTTY || jsonOutput) return false;
+  const rl = createInterface({ input: process.stdin, output: process.stdout });
+  const answer = await new Promise(resolve => rl.question(`${question} ${c.dim}(y/N)${c.reset}: `, resolve));
+  rl.close();
+  return answer.trim().toLowerCase() === 'y';
+}
+
 function showFooter() {
-  console.log(`
+  out(`
   ${c.dim}─────────────────────────────────────────────────────────────${c.reset}
 
   ${c.bold}Created by ${c.cyan}${AUTHOR.name}${c.reset}
@@ -171,7 +308,7 @@ function showSuccessBanner(stats, providerNames) {
     ? providerNames.map(p => p === 'claude' ? 'Claude Code' : p === 'cursor' ? 'Cursor' : p).join(' + ')
     : 'Claude Code';
 
-  console.log(`
+  out(`
   ${c.green}${c.bold}✓ Setup Complete!${c.reset}
 
     ${c.dim}Providers:${c.reset} ${c.cyan}${providerLabel}${c.reset}
@@ -185,7 +322,7 @@ function showSuccessBanner(stats, providerNames) {
 `);
 
   if (providerNames && providerNames.includes('cursor')) {
-    console.log(`  ${c.bold}Cursor rules installed:${c.reset}
+    out(`  ${c.bold}Cursor rules installed:${c.reset}
 
     ${c.cyan}Path:${c.reset} ${displayPath(CURSOR_DIR)}
     ${c.dim}Rules are automatically loaded by Cursor IDE${c.reset}
@@ -198,21 +335,38 @@ function listInstalled() {
 
   const installed = loadInstalledManifest();
   const pkg = loadPackageManifest();
+  const result = {
+    installed: installed ? {
+      version: installed.version,
+      installedAt: installed.installedAt,
+      providers: installed.providers || ['claude'],
+    } : null,
+    latestVersion: pkg?.version || null,
+    updateAvailable: !!(installed && pkg && isNewer(pkg.version, installed.version)),
+    components: {},
+    files: Object.entries(installed?.files || {}).map(([fileKey, fileMeta]) => ({
+      file: fileKey,
+      path: getDestPath(fileKey),
+      version: fileMeta.version,
+      latestVersion: pkg?.files?.[fileKey]?.version || null,
+      status: getFileStatus(fileKey, fileMeta),
+    })),
+  };
 
-  console.log(`  ${c.bold}Installed Components${c.reset}\n`);
+  out(`  ${c.bold}Installed Components${c.reset}\n`);
 
   if (installed) {
-    console.log(`  ${c.dim}Version:${c.reset} ${c.cyan}${installed.version}${c.reset}`);
-    console.log(`  ${c.dim}Installed:${c.reset} ${new Date(installed.installedAt).toLocaleDateString()}`);
+    out(`  ${c.dim}Version:${c.reset} ${c.cyan}${installed.version}${c.reset}`);
+    out(`  ${c.dim}Installed:${c.reset} ${new Date(installed.installedAt).toLocaleDateString()}`);
     if (installed.providers) {
       const providerLabel = installed.providers.map(p => p === 'claude' ? 'Claude Code' : p === 'cursor' ? 'Cursor' : p).join(', ');
-      console.log(`  ${c.dim}Providers:${c.reset} ${c.cyan}${providerLabel}${c.reset}`);
+      out(`  ${c.dim}Providers:${c.reset} ${c.cyan}${providerLabel}${c.reset}`);
     }
     if (pkg && isNewer(pkg.version, installed.version)) {
-      console.log(`  ${c.yellow}${c.bold}Update available: v${pkg.version}${c.reset}`);
-      console.log(`  ${c.dim}Run${c.reset} npx clauderc update`);
+      out(`  ${c.yellow}${c.bold}Update available: v${pkg.version}${c.reset}`);
+      out(`  ${c.dim}Run${c.reset} npx clauderc update`);
     }
-    console.log();
+    out();
   }
 
   const components = [
@@ -224,10 +378,11 @@ function listInstalled() {
   ];
 
   for (const comp of components) {
-    console.log(`  ${c.bold}${comp.name}${c.reset}`);
+    out(`  ${c.bold}${comp.name}${c.reset}`);
+    const names = result.components[comp.name.toLowerCase()] = [];
 
     if (!existsSync(comp.path)) {
-      console.log(`    ${c.dim}(none)${c.reset}\n`);
+      out(`    ${c.dim}(none)${c.reset}\n`);
       continue;
     }
 
@@ -240,51 +395,57 @@ function listInstalled() {
       if (entry.isDirectory() && comp.name === 'Skills') {
         const skillFile = join(comp.path, entry.name, 'SKILL.md');
         if (existsSync(skillFile)) {
-          console.log(`    ${c.green}●${c.reset} ${entry.name}`);
+          out(`    ${c.green}●${c.reset} ${entry.name}`);
+          names.push(entry.name);
           found = true;
         }
       } else if (entry.isFile() && (entry.name.endsWith('.md') || entry.name.endsWith('.json'))) {
         const displayName = entry.name.replace(/\.(md|json)$/, '');
-        console.log(`    ${c.green}●${c.reset} ${displayName}`);
+        out(`    ${c.green}●${c.reset} ${displayName}`);
+        names.push(displayName);
         found = true;
       } else if (entry.isDirectory()) {
-        console.log(`    ${c.green}●${c.reset} ${entry.name}/`);
+        out(`    ${c.green}●${c.reset} ${entry.name}/`);
+        names.push(`${entry.name}/`);
         found = true;
       }
     }
 
     if (!found) {
-      console.log(`    ${c.dim}(none)${c.reset}`);
+      out(`    ${c.dim}(none)${c.reset}`);
     }
-    console.log();
+    out();
   }
 
   // Show Cursor rules if installed
   if (installed?.providers?.includes('cursor') || existsSync(CURSOR_DIR)) {
-    console.log(`  ${c.bold}Cursor Rules${c.reset}`);
+    out(`  ${c.bold}Cursor Rules${c.reset}`);
     if (existsSync(CURSOR_DIR)) {
       const cursorEntries = readdirSync(CURSOR_DIR, { withFileTypes: true });
       let cursorFound = false;
+      result.components.cursorRules = [];
       for (const entry of cursorEntries) {
         if (entry.isFile() && entry.name.endsWith('.mdc')) {
-          console.log(`    ${c.green}●${c.reset} ${entry.name}`);
+          out(`    ${c.green}●${c.reset} ${entry.name}`);
+          result.components.cursorRules.push(entry.name);
           cursorFound = true;
         }
       }
       if (!cursorFound) {
-        console.log(`    ${c.dim}(none)${c.reset}`);
+        out(`    ${c.dim}(none)${c.reset}`);
       }
     } else {
-      console.log(`    ${c.dim}(not installed)${c.reset}`);
+      out(`    ${c.dim}(not installed)${c.reset}`);
     }
-    console.log();
+    out();
   }
 
   showFooter();
+  return result;
 }
 
 async function init(options = {}) {
-  const { force = false, dryRun = false, provider = null } = options;
+  const { force = false, dryRun = false, keepModified = false, provider = null } = options;
 
   banner();
 
@@ -292,20 +453,23 @@ async function init(options = {}) {
   let providerIds;
   if (provider) {
     providerIds = provider === 'both' ? ['claude', 'cursor'] : [provider];
+  } else if (jsonOutput) {
+    console.error(`\n  ${c.red}Error:${c.reset} --provider is required with --json\n`);
+    process.exit(1);
   } else {
     // Interactive prompt using shared provider choices
     const rl = createInterface({ input: process.stdin, output: process.stdout });
     const choices = getProviderChoices();
-    console.log(`  ${c.bold}Which AI coding tool(s) do you use?${c.reset}\n`);
+    out(`  ${c.bold}Which AI coding tool(s) do you use?${c.reset}\n`);
     choices.forEach((opt, i) => {
-      console.log(`    ${i + 1}) ${opt.label} ${c.dim}- ${opt.description}${c.reset}`);
+      out(`    ${i + 1}) ${opt.label} ${c.dim}- ${opt.description}${c.reset}`);
     });
     const answer = await new Promise(resolve => rl.question(`\n  Enter number ${c.dim}(1)${c.reset}: `, resolve));
     rl.close();
     const index = parseInt(answer.trim()) - 1;
     const selected = choices[index] || choices[0];
     providerIds = selected.id === 'both' ? ['claude', 'cursor'] : [selected.id];
-    console.log();
+    out();
   }
 
   const pkg = loadPackageManifest();
@@ -317,21 +481,21 @@ async function init(options = {}) {
   const installed = loadInstalledManifest();
 
   const providerLabel = providerIds.map(p => p === 'claude' ? 'Claude Code' : p === 'cursor' ? 'Cursor' : p).join(' + ');
-  console.log(`  ${c.bold}Installing ${providerLabel} Setup${c.reset}\n`);
-  console.log(`  ${c.dim}Version:${c.reset}  ${c.cyan}v${pkg.version}${c.reset}`);
+  out(`  ${c.bold}Installing ${providerLabel} Setup${c.reset}\n`);
+  out(`  ${c.dim}Version:${c.reset}  ${c.cyan}v${pkg.version}${c.reset}`);
   if (providerIds.includes('claude')) {
-    console.log(`  ${c.dim}Path:${c.reset}     ${c.cyan}${displayPath(CLAUDE_DIR)}${c.reset}`);
+    out(`  ${c.dim}Path:${c.reset}     ${c.cyan}${displayPath(CLAUDE_DIR)}${c.reset}`);
   }
   if (providerIds.includes('cursor')) {
-    console.log(`  ${c.dim}Cursor:${c.reset}   ${c.cyan}${displayPath(CURSOR_DIR)}${c.reset}`);
+    out(`  ${c.dim}Cursor:${c.reset}   ${c.cyan}${displayPath(CURSOR_DIR)}${c.reset}`);
   }
   if (installed) {
-    console.log(`  ${c.dim}Previous:${c.reset} v${installed.version}`);
+    out(`  ${c.dim}Previous:${c.reset} v${installed.version}`);
   }
-  console.log();
+  out();
 
   if (dryRun) {
-    console.log(`  ${c.yellow}${c.bold}DRY RUN${c.reset} - No files will be modified\n`);
+    out(`  ${c.yellow}${c.bold}DRY RUN${c.reset} - No files will be modified\n`);
   }
 
   // Create base directories
@@ -345,7 +509,7 @@ async function init(options = {}) {
     ensureDir(CURSOR_DIR);
   }
 
-  let created = 0, updated = 0, skipped = 0;
+  const created = [], updated = [], skipped = [];
   const newManifest = {
     version: pkg.version,
     installedAt: new Date().toISOString(),
@@ -353,7 +517,7 @@ async function init(options = {}) {
     files: {}
   };
 
-  console.log(`  ${c.bold}Files${c.reset}\n`);
+  out(`  ${c.bold}Files${c.reset}\n`);
 
   for (const [fileKey, fileMeta] of Object.entries(pkg.files)) {
     // Skip files not matching selected providers
@@ -368,45 +532,70 @@ async function init(options = {}) {
       continue;
     }
 
-    const destExists = existsSync(destPath);
-    const installedVersion = installed?.files?.[fileKey]?.version;
-    const needsUpdate = !installedVersion || isNewer(fileMeta.version, installedVersion);
+    const installedFile = installed?.files?.[fileKey];
+    const status = getFileStatus(fileKey, installedFile);
+    const needsUpdate = !installedFile?.version || isNewer(fileMeta.version, installedFile.version);
 
-    if (!destExists) {
+    if (status === 'missing') {
       copyFile(srcPath, destPath, { dryRun });
       log.add(`${displayDest}`);
-      created++;
+      created.push({ file: fileKey, path: destPath });
+    } else if (!force && needsUpdate && status === 'modified' &&
+        (keepModified || !await confirm(`  ${c.yellow}?${c.reset}     ${displayDest} was modified. Overwrite it?`))) {
+      log.warn(`${displayDest} ${c.dim}(modified - kept)${c.reset}`);
+      skipped.push({ file: fileKey, path: destPath, reason: 'modified' });
+      if (installedFile) newManifest.files[fileKey] = installedFile;
+      continue;
     } else if (force || needsUpdate) {
       copyFile(srcPath, destPath, { backup: true, dryRun });
       log.update(`${displayDest}`);
-      updated++;
+      updated.push({ file: fileKey, path: destPath });
     } else {
       log.warn(`${displayDest} ${c.dim}(up to date)${c.reset}`);
-      skipped++;
+      skipped.push({ file: fileKey, path: destPath, reason: 'up-to-date' });
+      newManifest.files[fileKey] = { ...installedFile, version: fileMeta.version };
+      continue;
     }
 
     newManifest.files[fileKey] = {
       version: fileMeta.version,
-      installedAt: new Date().toISOString()
+      installedAt: new Date().toISOString(),
+      hash: hashFile(srcPath),
     };
+    if (!dryRun) {
+      saveBaseCopy(fileKey, srcPath);
+    }
   }
 
   if (!dryRun) {
     saveInstalledManifest(newManifest);
   }
 
-  console.log();
-  showSuccessBanner({ created, updated, skipped }, providerIds);
+  out();
+  showSuccessBanner({ created: created.length, updated: updated.length, skipped: skipped.length }, providerIds);
 
-  if (skipped > 0 && !force) {
-    console.log(`  ${c.dim}Tip: Use${c.reset} --force ${c.dim}to overwrite existing files${c.reset}\n`);
+  if (skipped.length > 0 && !force) {
+    out(`  ${c.dim}Tip: Use${c.reset} --force ${c.dim}to overwrite existing files${c.reset}\n`);
   }
 
   showFooter();
+
+  return {
+    command: 'init',
+    version: pkg.version,
+    previousVersion: installed?.version || null,
+    providers: providerIds,
+    dryRun,
+    created,
+    updated,
+    skipped,
+    deprecated: [],
+    conflicts: [],
+  };
 }
 
-function update(options = {}) {
-  const { dryRun = false } = options;
+async function update(options = {}) {
+  const { dryRun = false, force = false, keepModified = false } = options;
 
   banner();
 
@@ -419,42 +608,54 @@ function update(options = {}) {
   const installed = loadInstalledManifest();
 
   if (!installed) {
-    console.log(`  ${c.yellow}No installation found. Running init...${c.reset}\n`);
+    out(`  ${c.yellow}No installation found. Running init...${c.reset}\n`);
     return init(options);
   }
 
-  console.log(`  ${c.bold}Updating Claude Code Setup${c.reset}\n`);
-  console.log(`  ${c.dim}Current:${c.reset} v${installed.version}`);
-  console.log(`  ${c.dim}Latest:${c.reset}  v${pkg.version}`);
-  console.log();
+  out(`  ${c.bold}Updating Claude Code Setup${c.reset}\n`);
+  out(`  ${c.dim}Current:${c.reset} v${installed.version}`);
+  out(`  ${c.dim}Latest:${c.reset}  v${pkg.version}`);
+  out();
 
   if (!isNewer(pkg.version, installed.version)) {
-    console.log(`  ${c.green}${c.bold}✓ Already up to date!${c.reset}\n`);
+    out(`  ${c.green}${c.bold}✓ Already up to date!${c.reset}\n`);
     showFooter();
-    return;
+    return {
+      command: 'update',
+      version: pkg.version,
+      previousVersion: installed.version,
+      providers: installed.providers || ['claude'],
+      dryRun,
+      upToDate: true,
+      created: [],
+      updated: [],
+      skipped: [],
+      deprecated: [],
+      conflicts: [],
+    };
   }
 
   if (dryRun) {
-    console.log(`  ${c.yellow}${c.bold}DRY RUN${c.reset} - No files will be modified\n`);
+    out(`  ${c.yellow}${c.bold}DRY RUN${c.reset} - No files will be modified\n`);
   }
 
   // Show changelog
   const relevantChanges = pkg.changelog?.filter(ch => isNewer(ch.version, installed.version)) || [];
   if (relevantChanges.length > 0) {
-    console.log(`  ${c.bold}What's New${c.reset}\n`);
+    out(`  ${c.bold}What's New${c.reset}\n`);
     for (const change of relevantChanges) {
-      console.log(`  ${c.cyan}v${change.version}${c.reset} ${c.dim}(${change.date})${c.reset}`);
+      out(`  ${c.cyan}v${change.version}${c.reset} ${c.dim}(${change.date})${c.reset}`);
       if (change.changes.added?.length) {
-        change.changes.added.forEach(a => console.log(`    ${c.green}+${c.reset} ${a}`));
+        change.changes.added.forEach(a => out(`    ${c.green}+${c.reset} ${a}`));
       }
       if (change.changes.changed?.length) {
-        change.changes.changed.forEach(ch => console.log(`    ${c.cyan}~${c.reset} ${ch}`));
+        change.changes.changed.forEach(ch => out(`    ${c.cyan}~${c.reset} ${ch}`));
       }
       if (change.changes.removed?.length) {
-        change.changes.removed.forEach(r => console.log(`    ${c.red}-${c.reset} ${r}`));
+        change.changes.removed.forEach(r => out(`    ${c.red}-${c.reset} ${r}`));
       }
     }
-    console.log();
+    out();
   }
 
   // Filter files by installed providers
@@ -471,13 +672,14 @@ function update(options = {}) {
     return isNewer(pkg.files[f]?.version, installed.files[f]?.version);
   });
 
-  console.log(`  ${c.bold}Files${c.reset}\n`);
+  out(`  ${c.bold}Files${c.reset}\n`);
 
-  let added = 0, updated = 0, removed = 0;
+  const created = [], updated = [], skipped = [], deprecated = [], conflicts = [];
   const newManifest = {
     version: pkg.version,
     installedAt: new Date().toISOString(),
     updatedFrom: installed.version,
+    providers: providerIds,
     files: {}
   };
 
@@ -489,8 +691,15 @@ function update(options = {}) {
 
     copyFile(srcPath, destPath, { dryRun });
     log.add(`${displayPath(destPath)}`);
-    added++;
-    newManifest.files[fileKey] = { version: pkg.files[fileKey].version, installedAt: new Date().toISOString() };
+    created.push({ file: fileKey, path: destPath });
+    newManifest.files[fileKey] = {
+      version: pkg.files[fileKey].version,
+      installedAt: new Date().toISOString(),
+      hash: hashFile(srcPath),
+    };
+    if (!dryRun) {
+      saveBaseCopy(fileKey, srcPath);
+    }
   }
 
   // Update changed files
@@ -499,44 +708,567 @@ function update(options = {}) {
     const destPath = getDestPath(fileKey);
     if (!existsSync(srcPath)) continue;
 
-    const backupPath = copyFile(srcPath, destPath, { backup: true, dryRun });
-    log.update(`${displayPath(destPath)}`);
-    if (backupPath) {
-      console.log(`         ${c.dim}backup: ${displayPath(backupPath)}${c.reset}`);
+    const status = getFileStatus(fileKey, installed.files[fileKey]);
+    const basePath = getBasePath(fileKey);
+
+    if (status === 'missing') {
+      copyFile(srcPath, destPath, { dryRun });
+      log.add(`${displayPath(destPath)} ${c.dim}(restored)${c.reset}`);
+      created.push({ file: fileKey, path: destPath, restored: true });
+    } else if (status === 'modified' && !force && !keepModified && existsSync(basePath)) {
+      const merge = mergeThreeWay(
+        readFileSync(basePath, 'utf-8'),
+        readFileSync(destPath, 'utf-8'),
+        readFileSync(srcPath, 'utf-8'),
+        { ours: 'yours', theirs: `clauderc v${pkg.files[fileKey].version}` }
+      );
+      const backupPath = dryRun ? null : backupFile(destPath);
+      if (!dryRun) {
+        writeFileSync(destPath, merge.content);
+      }
+      if (merge.conflicts > 0) {
+        log.update(`${displayPath(destPath)} ${c.yellow}(merged with ${merge.conflicts} conflict(s))${c.reset}`);
+        conflicts.push({ file: fileKey, path: destPath, count: merge.conflicts });
+      } else {
+        log.update(`${displayPath(destPath)} ${c.dim}(merged)${c.reset}`);
+      }
+      if (backupPath) {
+        out(`         ${c.dim}backup: ${displayPath(backupPath)}${c.reset}`);
+      }
+      updated.push({ file: fileKey, path: destPath, merged: true, backup: backupPath });
+    } else if (status === 'modified' && !force &&
+        (keepModified || !await confirm(`  ${c.yellow}?${c.reset}     ${displayPath(destPath)} was modified. Overwrite it?`))) {
+      log.warn(`${displayPath(destPath)} ${c.dim}(modified - kept v${installed.files[fileKey]?.version})${c.reset}`);
+      skipped.push({ file: fileKey, path: destPath, reason: 'modified' });
+      newManifest.files[fileKey] = installed.files[fileKey];
+      continue;
+    } else {
+      const backupPath = copyFile(srcPath, destPath, { backup: true, dryRun });
+      log.update(`${displayPath(destPath)}`);
+      if (backupPath) {
+        out(`         ${c.dim}backup: ${displayPath(backupPath)}${c.reset}`);
+      }
+      updated.push({ file: fileKey, path: destPath, backup: backupPath });
     }
-    updated++;
+
     newManifest.files[fileKey] = {
       version: pkg.files[fileKey].version,
       installedAt: new Date().toISOString(),
-      updatedFrom: installed.files[fileKey]?.version
+      updatedFrom: installed.files[fileKey]?.version,
+      hash: hashFile(srcPath),
     };
+    if (!dryRun) {
+      saveBaseCopy(fileKey, srcPath);
+    }
   }
 
   // Keep unchanged files
   for (const fileKey of packageFiles) {
     if (!toAdd.includes(fileKey) && !toUpdate.includes(fileKey)) {
       newManifest.files[fileKey] = installed.files[fileKey];
+      // Seed the merge base for installs made before base copies existed
+      if (!dryRun && !existsSync(getBasePath(fileKey)) &&
+          getFileStatus(fileKey, installed.files[fileKey]) === 'pristine') {
+        saveBaseCopy(fileKey, getDestPath(fileKey));
+      }
     }
   }
 
   // Note deprecated files
   for (const fileKey of toRemove) {
     log.remove(`${fileKey} ${c.dim}(deprecated - delete manually if not needed)${c.reset}`);
-    removed++;
+    deprecated.push({ file: fileKey, path: getDestPath(fileKey) });
   }
 
   if (!dryRun) {
     saveInstalledManifest(newManifest);
   }
 
-  console.log();
-  showSuccessBanner({ created: added, updated, skipped: 0 }, installed.providers);
+  out();
+  showSuccessBanner({ created: created.length, updated: updated.length, skipped: skipped.length }, providerIds);
+
+  if (conflicts.length > 0) {
+    out(`  ${c.yellow}${c.bold}Merge conflicts${c.reset} ${c.dim}- resolve the <<<<<<< markers in:${c.reset}\n`);
+    conflicts.forEach(conflict => out(`    ${c.yellow}!${c.reset} ${displayPath(conflict.path)}`));
+    out();
+  }
+
+  if (skipped.length > 0) {
+    out(`  ${c.dim}Tip: Use${c.reset} update --force ${c.dim}to overwrite files you have modified${c.reset}\n`);
+  }
+
+  if (deprecated.length > 0) {
+    out(`  ${c.yellow}Note:${c.reset} ${deprecated.length} file(s) deprecated. Delete manually if not needed.\n`);
+  }
+
+  showFooter();
+
+  return {
+    command: 'update',
+    version: pkg.version,
+    previousVersion: installed.version,
+    providers: providerIds,
+    dryRun,
+    upToDate: false,
+    created,
+    updated,
+    skipped,
+    deprecated,
+    conflicts,
+  };
+}
+
+async function uninstall(options = {}) {
+  const { dryRun = false, force = false, keepModified = false, provider = null } = options;
+
+  banner();
+
+  const installed = loadInstalledManifest();
+  if (!installed) {
+    out(`  ${c.yellow}No installation found.${c.reset} Nothing to uninstall.\n`);
+    return { command: 'uninstall', version: null, providers: [], dryRun, removed: [], kept: [] };
+  }
+
+  const pkg = loadPackageManifest();
+  const installedProviders = installed.providers || ['claude'];
+  const providerIds = provider
+    ? (provider === 'both' ? ['claude', 'cursor'] : [provider])
+    : installedProviders;
+
+  const providerLabel = providerIds.map(p => p === 'claude' ? 'Claude Code' : p === 'cursor' ? 'Cursor' : p).join(' + ');
+  out(`  ${c.bold}Uninstalling ${providerLabel} Setup${c.reset}\n`);
+  out(`  ${c.dim}Version:${c.reset}  v${installed.version}`);
+  out();
+
+  if (dryRun) {
+    out(`  ${c.yellow}${c.bold}DRY RUN${c.reset} - No files will be modified\n`);
+  }
+
+  out(`  ${c.bold}Files${c.reset}\n`);
+
+  const removed = [];
+  const kept = [];
+  const remainingFiles = {};
+
+  for (const [fileKey, fileMeta] of Object.entries(installed.files || {})) {
+    if (!providerIds.includes(getFileProvider(fileKey, pkg))) {
+      remainingFiles[fileKey] = fileMeta;
+      continue;
+    }
+
+    const destPath = getDestPath(fileKey);
+    const displayDest = displayPath(destPath);
+
+    const status = getFileStatus(fileKey, fileMeta);
+    if (!force && status === 'modified') {
+      // A dry run reports the question instead of asking it
+      const remove = !keepModified && !dryRun && await confirm(`  ${c.yellow}?${c.reset}     ${displayDest} was modified. Remove it?`);
+      if (!remove) {
+        const note = dryRun && !keepModified ? 'modified - would ask' : 'modified - kept';
+        log.warn(`${displayDest} ${c.dim}(${note})${c.reset}`);
+        kept.push({ file: fileKey, path: destPath, reason: 'modified' });
+        // Kept files stay in the manifest with their base copy, so a later update can still merge them
+        remainingFiles[fileKey] = fileMeta;
+        continue;
+      }
+    }
+
+    if (!dryRun) {
+      rmSync(getBasePath(fileKey), { force: true });
+    }
+    if (status === 'missing') {
+      continue;
+    }
+
+    if (!dryRun) {
+      rmSync(destPath);
+    }
+    log.remove(displayDest);
+    removed.push({ file: fileKey, path: destPath });
+  }
+
+  // Backups of removed files go with them; those of kept files stay for rollback
+  const remainingProviders = installedProviders.filter(p => !providerIds.includes(p));
+  const removeManifest = remainingProviders.length === 0 && kept.length === 0;
+  const backups = { removed: [], kept: [] };
+  for (const { files } of loadBackupRuns()) {
+    for (const backup of files) {
+      if (backup.targetPath === MANIFEST_FILE) {
+        if (removeManifest) backups.removed.push(backup.backupPath);
+        continue;
+      }
+      const fileKey = backup.targetPath.startsWith(BASE_DIR + sep)
+        ? backup.targetPath.slice(BASE_DIR.length + 1).split(sep).join('/')
+        : getFileKey(backup.targetPath);
+      if (!providerIds.includes(getFileProvider(fileKey, pkg))) continue;
+      backups[kept.some(k => k.file === fileKey) ? 'kept' : 'removed'].push(backup.backupPath);
+    }
+  }
+
+  if (backups.removed.length > 0) {
+    out(`\n  ${c.bold}Backups${c.reset}\n`);
+    for (const backupPath of backups.removed) {
+      if (!dryRun) rmSync(backupPath);
+      log.remove(displayPath(backupPath));
+    }
+  }
+
+  if (!dryRun) {
+    if (providerIds.includes('claude')) {
+      for (const dir of ['agents', 'skills', 'commands', 'hooks', 'templates']) {
+        const dirPath = join(CLAUDE_DIR, dir);
+        removeEmptyDirs(dirPath, CLAUDE_DIR);
+      }
+    }
+    if (providerIds.includes('cursor')) {
+      removeEmptyDirs(CURSOR_DIR, dirname(CURSOR_DIR));
+    }
+
+    if (!removeManifest) {
+      removeEmptyDirs(STATE_DIR, CLAUDE_DIR);
+      saveInstalledManifest({ ...installed, providers: remainingProviders, files: remainingFiles });
+    } else {
+      rmSync(STATE_DIR, { recursive: true, force: true });
+      rmSync(MANIFEST_FILE);
+    }
+  }
+
+  out();
+  out(`  ${c.green}${c.bold}✓ Uninstall Complete!${c.reset}\n`);
+  out(`    ${c.red}-${removed.length} removed${c.reset}  ${c.yellow}○${kept.length} kept${c.reset}  ${c.dim}${backups.removed.length} backup(s) removed${c.reset}\n`);
+
+  if (kept.length > 0) {
+    out(`  ${c.dim}Tip: Use${c.reset} --force ${c.dim}to remove modified files too${c.reset}\n`);
+  }
+  if (backups.kept.length > 0) {
+    out(`  ${c.dim}Backups of kept files, left for rollback:${c.reset}`);
+    backups.kept.forEach(backupPath => out(`    ${c.dim}${displayPath(backupPath)}${c.reset}`));
+    out();
+  }
+
+  showFooter();
+
+  return { command: 'uninstall', version: installed.version, providers: providerIds, dryRun, removed, kept, backups };
+}
+
+async function rollback(options = {}) {
+  const { dryRun = false, run = null, file = null, prune = null } = options;
+
+  banner();
+
+  const runs = loadBackupRuns();
+
+  if (prune !== null) {
+    const cutoff = Date.now() - prune * 24 * 60 * 60 * 1000;
+    const expired = runs.filter(r => r.date.getTime() < cutoff);
+    out(`  ${c.bold}Pruning backups older than ${prune} day(s)${c.reset}\n`);
+    if (dryRun) {
+      out(`  ${c.yellow}${c.bold}DRY RUN${c.reset} - No files will be modified\n`);
+    }
+    const pruned = [];
+    for (const r of expired) {
+      for (const backup of r.files) {
+        if (!dryRun) rmSync(backup.backupPath);
+        log.remove(displayPath(backup.backupPath));
+        pruned.push({ path: backup.backupPath, timestamp: r.timestamp });
+      }
+    }
+    if (pruned.length === 0) {
+      out(`  ${c.dim}No backups to prune.${c.reset}`);
+    }
+    out(`\n  ${c.green}${c.bold}✓${c.reset} ${pruned.length} backup(s) removed, ${runs.length - expired.length} run(s) kept\n`);
+    showFooter();
+    return { command: 'rollback', dryRun, pruned, runsKept: runs.length - expired.length };
+  }
+
+  const result = { command: 'rollback', dryRun, runs: [], run: null, restored: [] };
+
+  if (runs.length === 0) {
+    out(`  ${c.yellow}No backups found.${c.reset} Backups are created when init or update replaces a file.\n`);
+    return result;
+  }
+
+  // Files under the state dir (base copies, manifest) are restored but not listed
+  const visibleFiles = (r) => r.files.filter(f => !f.targetPath.startsWith(STATE_DIR) && f.targetPath !== MANIFEST_FILE);
+  const backupVersion = (r) => {
+    const manifestBackup = r.files.find(f => f.targetPath === MANIFEST_FILE);
+    if (!manifestBackup) return null;
+    try {
+      return JSON.parse(readFileSync(manifestBackup.backupPath, 'utf-8'));
+    } catch {
+      return null;
+    }
+  };
+
+  out(`  ${c.bold}Backups${c.reset}\n`);
+  runs.forEach((r, i) => {
+    const version = backupVersion(r)?.version;
+    result.runs.push({ timestamp: r.timestamp, date: r.date.toISOString(), version: version || null, files: visibleFiles(r).map(f => f.targetPath) });
+    const versionLabel = version ? ` ${c.cyan}v${version}${c.reset}` : '';
+    out(`    ${i + 1}) ${r.date.toLocaleString()}${versionLabel} ${c.dim}(${visibleFiles(r).length} file(s), ${r.timestamp})${c.reset}`);
+    visibleFiles(r).forEach(f => out(`         ${c.dim}${displayPath(f.targetPath)}${c.reset}`));
+  });
+  out();
+
+  let selected;
+  if (run) {
+    selected = runs.find(r => r.timestamp === run) || runs[parseInt(run) - 1];
+    if (!selected) {
+      console.error(`\n  ${c.red}Error:${c.reset} Backup run not found: ${run}\n`);
+      process.exit(1);
+    }
+  } else if (process.stdin.isTTY && !jsonOutput) {
+    const rl = createInterface({ input: process.stdin, output: process.stdout });
+    const answer = await new Promise(resolve => rl.question(`  Restore which run? Enter number ${c.dim}(1)${c.reset}: `, resolve));
+    rl.close();
+    selected = runs[parseInt(answer.trim()) - 1] || runs[0];
+    out();
+  } else {
+    out(`  ${c.dim}Run${c.reset} npx clauderc rollback <number|timestamp> [file] ${c.dim}to restore${c.reset}\n`);
+    return result;
+  }
+  result.run = selected.timestamp;
+
+  let toRestore = selected.files;
+  if (file) {
+    const target = toRestore.find(f => f.targetPath === file || displayPath(f.targetPath) === file || f.targetPath.endsWith(sep + file));
+    if (!target) {
+      console.error(`\n  ${c.red}Error:${c.reset} No backup of ${file} in run ${selected.timestamp}\n`);
+      process.exit(1);
+    }
+    const fileKey = getFileKey(target.targetPath);
+    toRestore = [target, ...selected.files.filter(f => f.targetPath === getBasePath(fileKey))];
+  }
+
+  if (dryRun) {
+    out(`  ${c.yellow}${c.bold}DRY RUN${c.reset} - No files will be modified\n`);
+  }
+
+  out(`  ${c.bold}Restoring ${selected.timestamp}${c.reset}\n`);
 
-  if (removed > 0) {
-    console.log(`  ${c.yellow}Note:${c.reset} ${removed} file(s) deprecated. Delete manually if not needed.\n`);
+  const previous = backupVersion(selected);
+  for (const backup of toRestore) {
+    if (file && backup.targetPath === MANIFEST_FILE) continue;
+    if (!dryRun) {
+      rmSync(backup.targetPath, { force: true });
+      renameSync(backup.backupPath, backup.targetPath);
+    }
+    if (visibleFiles({ files: [backup] }).length > 0) {
+      log.update(displayPath(backup.targetPath));
+      result.restored.push({ path: backup.targetPath, backup: backup.backupPath });
+    }
+  }
+
+  // A single file only takes its own entry from the previous manifest
+  if (file && !dryRun) {
+    const installed = loadInstalledManifest();
+    const fileKey = getFileKey(toRestore[0].targetPath);
+    if (previous?.files?.[fileKey] && installed) {
+      installed.files[fileKey] = previous.files[fileKey];
+      writeFileSync(MANIFEST_FILE, JSON.stringify(installed, null, 2));
+    }
   }
 
+  out(`\n  ${c.green}${c.bold}✓ Rollback Complete!${c.reset}\n`);
+  out(`    ${c.cyan}~${result.restored.length} restored${c.reset}${!file && previous ? `  ${c.dim}manifest:${c.reset} v${previous.version}` : ''}\n`);
+
   showFooter();
+
+  return { ...result, manifestVersion: !file && previous ? previous.version : null };
+}
+
+function findExecutable(name) {
+  const extensions = IS_WINDOWS ? (process.env.PATHEXT || '.EXE;.CMD;.BAT').split(';') : [''];
+  for (const dir of (process.env.PATH || '').split(delimiter)) {
+    if (!dir) continue;
+    for (const ext of extensions) {
+      const candidate = join(dir, name + ext);
+      if (existsSync(candidate)) return candidate;
+    }
+  }
+  return null;
+}
+
+function checkJSONFile(filePath) {
+  try {
+    JSON.parse(readFileSync(filePath, 'utf-8'));
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+// Package manager subcommands that are not package.json scripts
+const PM_BUILTINS = new Set([
+  'install', 'i', 'ci', 'add', 'remove', 'rm', 'uninstall', 'update', 'upgrade', 'exec', 'dlx', 'x',
+  'create', 'init', 'link', 'unlink', 'outdated', 'list', 'ls', 'why', 'publish', 'pack', 'audit', 'config',
+  'workspace', 'workspaces', 'global', 'cache', 'store', 'info', 'view', 'version', 'set', 'dedupe', 'prune', 'build',
+]);
+
+/**
+ * Find package.json scripts referenced by commands in a CLAUDE.md bash block
+ * that do not exist
+ * `npm run x` style references are certain; the `pnpm x` / `yarn x` shorthand also runs
+ * binaries, so names that are neither a script nor in node_modules/.bin are only uncertain
+ * @returns {{ missing: string[], uncertain: string[] }}
+ */
+function findMissingScripts(content, scripts, binDir) {
+  const blocks = [...content.matchAll(/```bash\n([\s\S]*?)```/g)].map(m => m[1]);
+  const missing = new Set();
+  const uncertain = new Set();
+
+  for (const line of blocks.join('\n').split('\n')) {
+    if (!line.trim() || line.trim().startsWith('#')) continue;
+    for (const part of line.split(/&&|\|\||;/)) {
+      const [tool, sub, name] = part.trim().split(/\s+/);
+      if (tool === 'npm' && sub === 'run' && name && !scripts[name]) missing.add(`npm run ${name}`);
+      else if (tool === 'npm' && ['test', 'start'].includes(sub) && !scripts[sub]) missing.add(`npm ${sub}`);
+      else if (['pnpm', 'bun', 'yarn'].includes(tool) && sub === 'run' && name && !scripts[name]) missing.add(`${tool} run ${name}`);
+      else if (['pnpm', 'yarn'].includes(tool) && sub && sub !== 'run' && !sub.startsWith('-') && !PM_BUILTINS.has(sub) &&
+        !scripts[sub] && !existsSync(join(binDir, sub))) {
+        uncertain.add(`${tool} ${sub}`);
+      }
+    }
+  }
+  return { missing: [...missing], uncertain: [...uncertain] };
+}
+
+function doctor() {
+  banner();
+
+  const counts = { pass: 0, warn: 0, fail: 0 };
+  const checks = [];
+  const report = (status, msg, hint) => {
+    counts[status]++;
+    // Checks print with colors; the JSON result gets the plain message
+    checks.push({ status, message: msg.replace(/\x1b\[\d+m/g, ''), hint: hint || null });
+    const label = status === 'pass' ? `${c.green}pass${c.reset}` : status === 'warn' ? `${c.yellow}warn${c.reset}` : `${c.red}fail${c.reset}`;
+    out(`  ${label}  ${msg}`);
+    if (hint) out(`        ${c.dim}${hint}${c.reset}`);
+  };
+
+  // Environment
+  out(`  ${c.bold}Environment${c.reset}\n`);
+
+  const [major, minor] = process.versions.node.split('.').map(Number);
+  if (major > 16 || (major === 16 && minor >= 7)) {
+    report('pass', `Node.js ${process.versions.node}`);
+  } else {
+    report('fail', `Node.js ${process.versions.node}`, 'Node.js 16.7+ is required');
+  }
+
+  const claudeBin = findExecutable('claude');
+  if (claudeBin) {
+    report('pass', `claude CLI found ${c.dim}(${displayPath(claudeBin)})${c.reset}`);
+  } else {
+    report('warn', 'claude CLI not found on PATH', 'AI analysis and merge in `clauderc project` need it unless --ai-backend anthropic or openai is used');
+  }
+
+  // Global setup
+  out(`\n  ${c.bold}Global setup${c.reset}\n`);
+
+  const pkg = loadPackageManifest();
+  const installed = loadInstalledManifest();
+
+  if (!installed) {
+    if (existsSync(MANIFEST_FILE)) {
+      report('fail', `${displayPath(MANIFEST_FILE)} is not valid JSON`, 'Run npx clauderc init --force to reinstall');
+    } else {
+      report('warn', 'No global installation found', 'Run npx clauderc init');
+    }
+  } else {
+    if (pkg && isNewer(pkg.version, installed.version)) {
+      report('warn', `Installed v${installed.version}, latest is v${pkg.version}`, 'Run npx clauderc update');
+    } else if (pkg && isNewer(installed.version, pkg.version)) {
+      report('warn', `Installed v${installed.version} is newer than this clauderc (v${pkg.version})`);
+    } else {
+      report('pass', `Installed version v${installed.version}`);
+    }
+
+    const providerIds = installed.providers || ['claude'];
+    const notRecorded = Object.keys(pkg?.files || {})
+      .filter(f => providerIds.includes(getFileProvider(f, pkg)) && !installed.files?.[f]);
+    const outdated = Object.keys(installed.files || {})
+      .filter(f => pkg?.files?.[f] && isNewer(pkg.files[f].version, installed.files[f].version));
+    if (notRecorded.length > 0) {
+      report('warn', `${notRecorded.length} file(s) from the package are not installed`, notRecorded.join(', '));
+    }
+    if (outdated.length > 0) {
+      report('warn', `${outdated.length} file(s) have newer versions available`, outdated.join(', '));
+    }
+    if (notRecorded.length === 0 && outdated.length === 0) {
+      report('pass', 'Manifest matches package versions');
+    }
+
+    const missing = Object.keys(installed.files || {}).filter(f => !existsSync(getDestPath(f)));
+    if (missing.length > 0) {
+      report('fail', `${missing.length} installed file(s) missing on disk`, missing.map(f => displayPath(getDestPath(f))).join(', '));
+    } else {
+      report('pass', `${Object.keys(installed.files || {}).length} installed file(s) present`);
+    }
+  }
+
+  const hooksDir = join(CLAUDE_DIR, 'hooks');
+  const hookFiles = existsSync(hooksDir) ? readdirSync(hooksDir).filter(f => f.endsWith('.json')) : [];
+  for (const hookFile of hookFiles) {
+    const hookPath = join(hooksDir, hookFile);
+    const error = checkJSONFile(hookPath);
+    if (error) {
+      report('fail', `${displayPath(hookPath)} is not valid JSON`, error);
+    } else {
+      report('pass', `${displayPath(hookPath)} is valid JSON`);
+    }
+  }
+
+  // Project
+  const projectPath = process.cwd();
+  const settingsPath = join(projectPath, '.claude', 'settings.json');
+  const claudeMdPath = join(projectPath, 'CLAUDE.md');
+
+  if (existsSync(settingsPath) || existsSync(claudeMdPath)) {
+    out(`\n  ${c.bold}Project${c.reset} ${c.dim}(${displayPath(projectPath)})${c.reset}\n`);
+
+    if (existsSync(settingsPath)) {
+      const error = checkJSONFile(settingsPath);
+      if (error) {
+        report('fail', '.claude/settings.json is not valid JSON', error);
+      } else {
+        report('pass', '.claude/settings.json is valid JSON');
+      }
+    }
+
+    if (existsSync(claudeMdPath)) {
+      const pkgJsonPath = join(projectPath, 'package.json');
+      let scripts = null;
+      if (existsSync(pkgJsonPath)) {
+        try {
+          scripts = JSON.parse(readFileSync(pkgJsonPath, 'utf-8')).scripts || {};
+        } catch {
+          report('fail', 'package.json is not valid JSON');
+        }
+      }
+      if (scripts) {
+        const { missing, uncertain } = findMissingScripts(readFileSync(claudeMdPath, 'utf-8'), scripts, join(projectPath, 'node_modules', '.bin'));
+        if (missing.length > 0) {
+          report('fail', `CLAUDE.md references ${missing.length} missing script(s)`, missing.join(', '));
+        }
+        if (uncertain.length > 0) {
+          report('warn', `CLAUDE.md runs ${uncertain.length} command(s) that are neither a script nor an installed binary`, `${uncertain.join(', ')} (install dependencies if they come from a package)`);
+        }
+        if (missing.length === 0 && uncertain.length === 0) {
+          report('pass', 'CLAUDE.md commands match package.json scripts');
+        }
+      }
+    }
+  }
+
+  out(`\n  ${c.green}${counts.pass} passed${c.reset}  ${c.yellow}${counts.warn} warning(s)${c.reset}  ${c.red}${counts.fail} failed${c.reset}\n`);
+
+  if (counts.fail > 0) {
+    process.exitCode = 1;
+  }
+
+  return { command: 'doctor', passed: counts.pass, warnings: counts.warn, failed: counts.fail, checks };
 }
 
 function showChangelog() {
@@ -544,54 +1276,159 @@ function showChangelog() {
 
   const pkg = loadPackageManifest();
   if (!pkg?.changelog) {
-    log.error('Changelog not found');
-    return;
+    console.error(`\n  ${c.red}Error:${c.reset} Changelog not found\n`);
+    process.exit(1);
   }
 
   const installed = loadInstalledManifest();
 
-  console.log(`  ${c.bold}Changelog${c.reset}\n`);
+  out(`  ${c.bold}Changelog${c.reset}\n`);
 
   for (const change of pkg.changelog) {
     const isCurrent = installed?.version === change.version;
     const marker = isCurrent ? ` ${c.green}● installed${c.reset}` : '';
 
-    console.log(`  ${c.cyan}${c.bold}v${change.version}${c.reset}${marker} ${c.dim}(${change.date})${c.reset}`);
+    out(`  ${c.cyan}${c.bold}v${change.version}${c.reset}${marker} ${c.dim}(${change.date})${c.reset}`);
 
     if (change.changes.added?.length) {
-      change.changes.added.forEach(a => console.log(`    ${c.green}+${c.reset} ${a}`));
+      change.changes.added.forEach(a => out(`    ${c.green}+${c.reset} ${a}`));
     }
     if (change.changes.changed?.length) {
-      change.changes.changed.forEach(ch => console.log(`    ${c.cyan}~${c.reset} ${ch}`));
+      change.changes.changed.forEach(ch => out(`    ${c.cyan}~${c.reset} ${ch}`));
     }
     if (change.changes.removed?.length) {
-      change.changes.removed.forEach(r => console.log(`    ${c.red}-${c.reset} ${r}`));
+      change.changes.removed.forEach(r => out(`    ${c.red}-${c.reset} ${r}`));
     }
     if (change.changes.deprecated?.length) {
-      change.changes.deprecated.forEach(d => console.log(`    ${c.yellow}!${c.reset} ${d}`));
+      change.changes.deprecated.forEach(d => out(`    ${c.yellow}!${c.reset} ${d}`));
     }
-    console.log();
+    out();
   }
 
   showFooter();
+
+  return {
+    command: 'changelog',
+    installedVersion: installed?.version || null,
+    changelog: pkg.changelog,
+  };
 }
 
 // ============================================================
 // PROJECT COMMAND - Setup .claude/ in current project
 // ============================================================
 
-import { runProjectWizard } from '../src/project.js';
+import { runProjectWizard, previewAnalysisPrompt, describeRedactions } from '../src/project.js';
+
+// Print the AI analysis prompt as it would be sent; the summary goes to stderr so stdout is the prompt alone
+function showAnalysisPrompt() {
+  let request;
+  try {
+    request = previewAnalysisPrompt(process.cwd());
+  } catch (error) {
+    console.error(`\n  ${c.red}Error:${c.reset} ${error.message}\n`);
+    process.exit(1);
+  }
+  if (!request) {
+    console.error(`\n  ${c.red}Error:${c.reset} No project files found for analysis\n`);
+    process.exit(1);
+  }
+
+  if (!jsonOutput) {
+    console.log(request.prompt);
+    console.error(`\n  ${c.dim}${request.files.length} files: ${request.files.join(', ')}${c.reset}`);
+    const lines = describeRedactions(request.redactions);
+    console.error(lines.length > 0 ? `  ${c.yellow}Redacted:${c.reset}\n${lines.map(line => `    ${line}`).join('\n')}\n` : `  ${c.dim}Nothing redacted${c.reset}\n`);
+  }
+  return { command: 'project', prompt: request.prompt, files: request.files, redactions: request.redactions };
+}
 
 async function projectSetup(options = {}) {
+  if (options.showPrompt) return showAnalysisPrompt();
+
   banner();
-  await runProjectWizard(options);
+  let config;
+  try {
+    config = await runProjectWizard({ ...options, silent: jsonOutput });
+  } catch (error) {
+    console.error(`\n  ${c.red}Error:${c.reset} ${error.message}\n`);
+    process.exit(1);
+  }
   showFooter();
+
+  if (!config) {
+    return { command: 'project', cancelled: true };
+  }
+  return {
+    command: 'project',
+    cancelled: false,
+    dryRun: !!options.dryRun,
+    projectName: config.projectName,
+    projectPath: config.projectPath,
+    providers: config.providers,
+    detection: config.stack,
+    commands: config.commands,
+    reconciliation: config.reconciliation,
+    customRules: config.customRules,
+    files: config.files,
+  };
+}
+
+// ============================================================
+// DETECT COMMAND - Print the detection result without writing files
+// ============================================================
+
+import { detectStack, generateCommands, describeEvidence } from '../src/detector.js';
+import { loadConfiguredDetectors } from '../src/detectors.js';
+
+async function detect(options = {}) {
+  const projectPath = resolve(options.path || process.cwd());
+  if (!existsSync(projectPath)) {
+    console.error(`\n  ${c.red}Error:${c.reset} ${projectPath} does not exist\n`);
+    process.exit(1);
+  }
+
+  try {
+    const { skipped } = await loadConfiguredDetectors(projectPath, undefined, { trustProject: options.trustPlugins });
+    if (skipped.length > 0) {
+      console.error(`\n  ${c.yellow}Skipped detector plugins:${c.reset} ${skipped.join(', ')} ${c.dim}(pass --trust-plugins to load them)${c.reset}`);
+    }
+  } catch (error) {
+    console.error(`\n  ${c.red}Error:${c.reset} ${error.message}\n`);
+    process.exit(1);
+  }
+
+  const detection = detectStack(projectPath, { primaryStack: options.primaryStack });
+  const commands = generateCommands(detection);
+
+  banner();
+  out(`  ${c.bold}Detection${c.reset} ${c.dim}(${displayPath(projectPath)})${c.reset}\n`);
+
+  const entries = Object.entries(detection.evidence);
+  if (entries.length === 0) {
+    out(`  ${c.dim}Nothing detected${c.reset}`);
+  }
+  for (const [field, entry] of entries) {
+    const value = typeof entry.value === 'object'
+      ? Object.keys(entry.value).filter(key => entry.value[key]).join(', ') || 'none'
+      : entry.value;
+    out(`  ${field.padEnd(22)} ${c.cyan}${value}${c.reset}`);
+    out(`  ${' '.repeat(22)} ${c.dim}${describeEvidence(entry)}${c.reset}`);
+  }
+
+  out(`\n  ${c.bold}Commands${c.reset}\n`);
+  for (const [key, value] of Object.entries(commands)) {
+    if (typeof value === 'string') out(`  ${key.padEnd(22)} ${value}`);
+  }
+  out();
+
+  return { command: 'detect', path: projectPath, detection, commands };
 }
 
 function showHelp() {
   banner();
 
-  console.log(`  ${c.bold}Usage${c.reset}
+  out(`  ${c.bold}Usage${c.reset}
 
     npx clauderc ${c.cyan}<command>${c.reset} [options]
 
@@ -599,8 +1436,13 @@ function showHelp() {
 
     ${c.cyan}init${c.reset}        Install global components (~/.claude/)
     ${c.cyan}project${c.reset}     Setup current project (.claude/ + CLAUDE.md)
+    ${c.cyan}regenerate${c.reset}  Rebuild project files from clauderc.config.json
+    ${c.cyan}detect${c.reset}      Print what clauderc detects in [path], without writing files
     ${c.cyan}update${c.reset}      Update global components to latest version
+    ${c.cyan}uninstall${c.reset}   Remove global components installed by clauderc
+    ${c.cyan}rollback${c.reset}    Restore files from a previous init/update run
     ${c.cyan}list${c.reset}        Show installed components
+    ${c.cyan}doctor${c.reset}      Check global and project setup for problems
     ${c.cyan}changelog${c.reset}   Show version history
     ${c.cyan}help${c.reset}        Show this message
 
@@ -609,6 +1451,27 @@ function showHelp() {
     ${c.yellow}--force, -f${c.reset}       Overwrite all files
     ${c.yellow}--dry-run${c.reset}         Preview changes without applying
     ${c.yellow}--provider${c.reset} ${c.cyan}<id>${c.reset}   Select provider: claude, cursor, or both
+    ${c.yellow}--keep-modified${c.reset}   Never overwrite or remove files you have edited
+    ${c.yellow}--prune${c.reset} ${c.cyan}<days>${c.reset}    Delete backups older than <days> (rollback)
+    ${c.yellow}--json${c.reset}            Print a JSON result instead of the report
+
+  ${c.bold}Project Options${c.reset}
+
+    ${c.yellow}--yes, -y${c.reset}                Accept defaults instead of prompting
+    ${c.yellow}--no-ai${c.reset}                  Skip AI analysis
+    ${c.yellow}--ai-backend${c.reset} ${c.cyan}<id>${c.reset}        AI backend: claude-cli, anthropic, or openai
+    ${c.yellow}--ai-model${c.reset} ${c.cyan}<name>${c.reset}        Model name (claude-cli default: haiku)
+    ${c.yellow}--ai-url${c.reset} ${c.cyan}<url>${c.reset}           Endpoint for the anthropic and openai backends
+    ${c.yellow}--merge-strategy${c.reset} ${c.cyan}<s>${c.reset}     Existing config: merge, overwrite, or skip
+    ${c.yellow}--rule${c.reset} ${c.cyan}"<text>"${c.reset}          Add a project rule (repeatable)
+    ${c.yellow}--answers${c.reset} ${c.cyan}<file>${c.reset}        Read wizard answers from a JSON file
+    ${c.yellow}--command${c.reset} ${c.cyan}<key>=<cmd>${c.reset}   Override a generated command (repeatable)
+    ${c.yellow}--disable-command${c.reset} ${c.cyan}<n>${c.reset}   Do not generate a command file, e.g. worktree (repeatable)
+    ${c.yellow}--primary-stack${c.reset} ${c.cyan}<id>${c.reset}    Primary stack in polyglot repos (e.g. node, python)
+    ${c.yellow}--explain${c.reset}                Show which files each detected value came from
+    ${c.yellow}--show-prompt${c.reset}            Print the AI analysis prompt (after redaction) and exit
+    ${c.yellow}--refresh${c.reset}                Ignore the cached or stored AI analysis and analyze again
+    ${c.yellow}--trust-plugins${c.reset}          Load detector plugins listed in the project's clauderc.config.json
 
   ${c.bold}Examples${c.reset}
 
@@ -627,9 +1490,25 @@ function showHelp() {
     ${c.dim}# Setup current project (interactive)${c.reset}
     npx clauderc project
 
+    ${c.dim}# Setup current project in CI (no prompts)${c.reset}
+    npx clauderc project --provider claude --yes --no-ai --merge-strategy overwrite
+
+    ${c.dim}# Analyze with a self-hosted model instead of the Claude CLI${c.reset}
+    npx clauderc project --ai-backend openai --ai-url http://llm.internal:8000/v1 --ai-model qwen2.5-coder
+
+    ${c.dim}# Show what would be detected in another directory${c.reset}
+    npx clauderc detect ../api --json
+
     ${c.dim}# Update global components${c.reset}
     npx clauderc update
 
+    ${c.dim}# Preview removal of global components${c.reset}
+    npx clauderc uninstall --dry-run
+
+    ${c.dim}# Undo the last update, or restore a single file from it${c.reset}
+    npx clauderc rollback 1
+    npx clauderc rollback 1 commands/pr.md
+
   ${c.bold}Supported Providers${c.reset}
 
     ${c.cyan}Claude Code${c.reset}  ${c.dim}CLAUDE.md + ~/.claude/${c.reset}
@@ -650,12 +1529,14 @@ function showHelp() {
     ${c.cyan}Project (.claude/)${c.reset}
     ├── commands/       ${c.dim}# Project-specific commands${c.reset}
     ├── settings.json   ${c.dim}# Permissions & hooks${c.reset}
-    └── CLAUDE.md       ${c.dim}# Project context for Claude${c.reset}
+    ├── CLAUDE.md       ${c.dim}# Project context for Claude${c.reset}
+    └── clauderc.config.json ${c.dim}# Saved wizard choices (repo root)${c.reset}
 
   ${c.bold}Supported Stacks${c.reset}
 
-    Node.js/TypeScript, Python, Go, Rust, Java/Kotlin,
-    PHP, Ruby, C#/.NET, Elixir, Swift, Dart/Flutter
+    Node.js/TypeScript, Deno, Python, Go, Rust, Java/Kotlin,
+    Kotlin Multiplatform, Scala, PHP, Ruby, C#/.NET, Elixir,
+    Swift, Dart/Flutter, C/C++, Zig, Haskell
 
 `);
   showFooter();
@@ -670,51 +1551,214 @@ if (nodeVersion[0] < 16 || (nodeVersion[0] === 16 && nodeVersion[1] < 7)) {
 
 // Parse arguments
 const args = process.argv.slice(2);
-const command = (() => {
+const VALUE_FLAGS = ['--provider', '--prune', '--merge-strategy', '--rule', '--answers', '--command', '--disable-command', '--primary-stack', '--ai-backend', '--ai-model', '--ai-url'];
+
+// Values of a flag given as `--name value` or `--name=value`
+function getFlagValues(name) {
+  const values = [];
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === name) {
+      values.push(args[i + 1]);
+      i++;
+    } else if (args[i].startsWith(`${name}=`)) {
+      values.push(args[i].slice(name.length + 1));
+    }
+  }
+  return values;
+}
+
+function getFlagValue(name) {
+  const values = getFlagValues(name);
+  return values.length > 0 ? values[values.length - 1] : null;
+}
+
+function flagError(message) {
+  console.error(`\n  ${c.red}Error:${c.reset} ${message}\n`);
+  process.exit(1);
+}
+
+const positionals = (() => {
+  const result = [];
   for (let i = 0; i < args.length; i++) {
-    if (args[i] === '--provider') { i++; continue; }
-    if (!args[i].startsWith('-')) return args[i];
+    if (VALUE_FLAGS.includes(args[i])) { i++; continue; }
+    if (!args[i].startsWith('-')) result.push(args[i]);
   }
-  return 'help';
+  return result;
 })();
+const command = positionals[0] || 'help';
 const flags = {
   force: args.includes('--force') || args.includes('-f'),
   dryRun: args.includes('--dry-run'),
+  keepModified: args.includes('--keep-modified'),
+  json: args.includes('--json'),
+  yes: args.includes('--yes') || args.includes('-y'),
+  ai: args.includes('--no-ai') ? false : null,
+  explain: args.includes('--explain'),
+  showPrompt: args.includes('--show-prompt'),
+  refresh: args.includes('--refresh'),
+  trustPlugins: args.includes('--trust-plugins'),
   provider: (() => {
-    const idx = args.indexOf('--provider');
-    if (idx === -1) return null;
-    const value = args[idx + 1];
+    if (getFlagValues('--provider').length === 0) return null;
+    const value = getFlagValue('--provider');
     const valid = ['claude', 'cursor', 'both'];
     if (!value || !valid.includes(value)) {
-      console.error(`\n  ${c.red}Error:${c.reset} --provider must be one of: ${valid.join(', ')}\n`);
-      process.exit(1);
+      flagError(`--provider must be one of: ${valid.join(', ')}`);
+    }
+    return value;
+  })(),
+  prune: (() => {
+    if (getFlagValues('--prune').length === 0) return null;
+    const value = Number(getFlagValue('--prune'));
+    if (!Number.isFinite(value) || value < 0) {
+      flagError('--prune requires a number of days');
+    }
+    return value;
+  })(),
+  mergeStrategy: (() => {
+    if (getFlagValues('--merge-strategy').length === 0) return null;
+    const value = getFlagValue('--merge-strategy');
+    const valid = ['merge', 'overwrite', 'skip'];
+    if (!value || !valid.includes(value)) {
+      flagError(`--merge-strategy must be one of: ${valid.join(', ')}`);
+    }
+    return value;
+  })(),
+  rules: getFlagValues('--rule').filter(Boolean),
+  commands: (() => {
+    const overrides = {};
+    for (const value of getFlagValues('--command')) {
+      const eq = value ? value.indexOf('=') : -1;
+      if (eq <= 0) {
+        flagError('--command must look like <key>="<command>", e.g. --command test="pnpm vitest run"');
+      }
+      overrides[value.slice(0, eq).trim()] = value.slice(eq + 1).trim();
+    }
+    return overrides;
+  })(),
+  disabledCommands: getFlagValues('--disable-command').map((value) => {
+    if (!value || !COMMAND_FILES.includes(value)) {
+      flagError(`--disable-command must be one of: ${COMMAND_FILES.join(', ')}`);
+    }
+    return value;
+  }),
+  answers: (() => {
+    if (getFlagValues('--answers').length === 0) return null;
+    const value = getFlagValue('--answers');
+    if (!value) flagError('--answers requires a path to a JSON file');
+    return value;
+  })(),
+  primaryStack: (() => {
+    if (getFlagValues('--primary-stack').length === 0) return null;
+    const value = getFlagValue('--primary-stack');
+    const valid = Object.keys(STACKS);
+    if (!value || !valid.includes(value)) {
+      flagError(`--primary-stack must be one of: ${valid.join(', ')}`);
+    }
+    return value;
+  })(),
+  aiBackend: (() => {
+    if (getFlagValues('--ai-backend').length === 0) return null;
+    const value = getFlagValue('--ai-backend');
+    const valid = Object.keys(BACKENDS);
+    if (!value || !valid.includes(value)) {
+      flagError(`--ai-backend must be one of: ${valid.join(', ')}`);
     }
     return value;
   })(),
+  aiModel: (() => {
+    if (getFlagValues('--ai-model').length === 0) return null;
+    const value = getFlagValue('--ai-model');
+    if (!value) flagError('--ai-model requires a model name');
+    return value;
+  })(),
+  aiUrl: (() => {
+    if (getFlagValues('--ai-url').length === 0) return null;
+    const value = getFlagValue('--ai-url');
+    if (!value || !/^https?:\/\//.test(value)) flagError('--ai-url requires an http:// or https:// URL');
+    return value;
+  })(),
 };
 
+jsonOutput = flags.json;
+
 (async () => {
   switch (command) {
     case 'init':
-    case 'install':
-      await init({ force: flags.force, dryRun: flags.dryRun, provider: flags.provider });
+    case 'install': {
+      const result = await init({ force: flags.force, dryRun: flags.dryRun, keepModified: flags.keepModified, provider: flags.provider });
+      if (jsonOutput) emitJSON(result);
       break;
+    }
     case 'project':
-    case 'setup':
-      await projectSetup({ dryRun: flags.dryRun, provider: flags.provider });
+    case 'setup': {
+      const result = await projectSetup({
+        dryRun: flags.dryRun,
+        provider: flags.provider,
+        yes: flags.yes,
+        ai: flags.ai,
+        mergeStrategy: flags.mergeStrategy,
+        rules: flags.rules,
+        commands: flags.commands,
+        disabledCommands: flags.disabledCommands,
+        primaryStack: flags.primaryStack,
+        aiBackend: flags.aiBackend,
+        aiModel: flags.aiModel,
+        aiUrl: flags.aiUrl,
+        answers: flags.answers,
+        explain: flags.explain,
+        showPrompt: flags.showPrompt,
+        refresh: flags.refresh,
+        trustPlugins: flags.trustPlugins,
+      });
+      if (jsonOutput) emitJSON(result);
+      break;
+    }
+    case 'regenerate':
+    case 'regen': {
+      const result = await projectSetup({ dryRun: flags.dryRun, fromConfig: true, refresh: flags.refresh, trustPlugins: flags.trustPlugins });
+      if (jsonOutput) emitJSON(result);
+      break;
+    }
+    case 'detect': {
+      const result = await detect({ path: positionals[1], primaryStack: flags.primaryStack, trustPlugins: flags.trustPlugins });
+      if (jsonOutput) emitJSON(result);
       break;
+    }
     case 'update':
-    case 'upgrade':
-      update({ dryRun: flags.dryRun });
+    case 'upgrade': {
+      const result = await update({ dryRun: flags.dryRun, force: flags.force, keepModified: flags.keepModified });
+      if (jsonOutput) emitJSON(result);
+      break;
+    }
+    case 'uninstall':
+    case 'remove': {
+      const result = await uninstall({ dryRun: flags.dryRun, force: flags.force, keepModified: flags.keepModified, provider: flags.provider });
+      if (jsonOutput) emitJSON(result);
+      break;
+    }
+    case 'rollback':
+    case 'restore': {
+      const result = await rollback({ dryRun: flags.dryRun, run: positionals[1], file: positionals[2], prune: flags.prune });
+      if (jsonOutput) emitJSON(result);
       break;
+    }
+    case 'doctor': {
+      const result = doctor();
+      if (jsonOutput) emitJSON(result);
+      break;
+    }
     case 'list':
-    case 'ls':
-      listInstalled();
+    case 'ls': {
+      const result = listInstalled();
+      if (jsonOutput) emitJSON(result);
       break;
+    }
     case 'changelog':
-    case 'changes':
-      showChangelog();
+    case 'changes': {
+      const result = showChangelog();
+      if (jsonOutput) emitJSON(result);
       break;
+    }
     case 'help':
     case '--help':
     case '-h':
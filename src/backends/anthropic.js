@@ -0,0 +1,35 @@
+/**
+ * Anthropic Messages API backend
+ * Works with api.anthropic.com and proxies or gateways exposing the same /v1/messages endpoint
+ */
+
+import { postJSON } from './http.js';
+
+async function complete(prompt, { model, url, timeout }) {
+  const apiKey = process.env.ANTHROPIC_API_KEY;
+  if (!apiKey) {
+    throw new Error('ANTHROPIC_API_KEY is not set');
+  }
+
+  const response = await postJSON(`${url.replace(/\/$/, '')}/v1/messages`, {
+    model,
+    max_tokens: 8192,
+    messages: [{ role: 'user', content: prompt }],
+  }, {
+    headers: { 'x-api-key': apiKey, 'anthropic-version': '2023-06-01' },
+    timeout,
+  });
+
+  return (response.content || [])
+    .filter(block => block.type === 'text')
+    .map(block => block.text)
+    .join('');
+}
+
+export const anthropicBackend = {
+  id: 'anthropic',
+  name: 'Anthropic API',
+  defaultModel: 'claude-haiku-4-5',
+  defaultUrl: 'https://api.anthropic.com',
+  complete,
+};
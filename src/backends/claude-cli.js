@@ -0,0 +1,35 @@
+/**
+ * Claude CLI backend
+ * Pipes the prompt to `claude -p` on stdin to avoid shell escaping issues with large prompts
+ */
+
+import { execFile } from 'child_process';
+
+function complete(prompt, { model, timeout, cwd }) {
+  return new Promise((resolve, reject) => {
+    const child = execFile('claude', ['-p', '--model', model], {
+      encoding: 'utf-8',
+      maxBuffer: 1024 * 1024 * 10, // 10MB buffer
+      timeout,
+      cwd,
+    }, (error, stdout) => {
+      if (error?.code === 'ENOENT') {
+        reject(new Error('Claude CLI not found - install from https://claude.com/code or use --ai-backend anthropic|openai'));
+      } else if (error) {
+        reject(error.killed ? new Error(`Claude CLI did not respond within ${timeout / 1000}s`) : error);
+      } else {
+        resolve(stdout);
+      }
+    });
+    // The process may exit before reading stdin; its exit status carries the error
+    child.stdin.on('error', () => {});
+    child.stdin.end(prompt);
+  });
+}
+
+export const claudeCliBackend = {
+  id: 'claude-cli',
+  name: 'Claude CLI',
+  defaultModel: 'haiku',
+  complete,
+};
@@ -0,0 +1,57 @@
+/**
+ * Minimal JSON-over-HTTP client for the API backends
+ * Uses http/https directly since fetch is not available on every supported Node version
+ */
+
+import http from 'http';
+import https from 'https';
+
+/**
+ * POST a JSON body and parse the JSON response
+ * @param {string} url - Endpoint URL
+ * @param {Object} body - Request body
+ * @param {Object} options - { headers, timeout } (timeout in ms)
+ * @returns {Promise<Object>} - Parsed response body
+ */
+export function postJSON(url, body, options = {}) {
+  const { headers = {}, timeout = 60000 } = options;
+  const target = new URL(url);
+  const client = target.protocol === 'https:' ? https : http;
+  const payload = JSON.stringify(body);
+
+  return new Promise((resolve, reject) => {
+    const request = client.request(target, {
+      method: 'POST',
+      headers: {
+        'content-type': 'application/json',
+        'content-length': Buffer.byteLength(payload),
+        ...headers,
+      },
+    }, (response) => {
+      let data = '';
+      response.setEncoding('utf-8');
+      response.on('data', (chunk) => { data += chunk; });
+      response.on('end', () => {
+        let parsed;
+        try {
+          parsed = JSON.parse(data);
+        } catch {
+          reject(new Error(`${url} returned ${response.statusCode} with a non-JSON body`));
+          return;
+        }
+        if (response.statusCode >= 400) {
+          const message = parsed.error?.message || parsed.error || parsed.message || JSON.stringify(parsed);
+          reject(new Error(`${url} returned ${response.statusCode}: ${message}`));
+          return;
+        }
+        resolve(parsed);
+      });
+    });
+
+    request.setTimeout(timeout, () => {
+      request.destroy(new Error(`${url} did not respond within ${timeout / 1000}s`));
+    });
+    request.on('error', reject);
+    request.end(payload);
+  });
+}
@@ -0,0 +1,49 @@
+/**
+ * AI backend registry
+ * Backends send a prompt to a model and resolve to its text response; they are
+ * used for project analysis and for merging existing config files
+ */
+
+import { claudeCliBackend } from './claude-cli.js';
+import { anthropicBackend } from './anthropic.js';
+import { openaiBackend } from './openai.js';
+
+export const BACKENDS = {
+  'claude-cli': claudeCliBackend,
+  anthropic: anthropicBackend,
+  openai: openaiBackend,
+};
+
+export const DEFAULT_BACKEND = 'claude-cli';
+
+export function getBackend(id) {
+  return BACKENDS[id] || null;
+}
+
+/**
+ * Resolve a backend with its model and endpoint
+ * @param {Object} options - { backend, model, url }; missing values use the backend's defaults
+ * @returns {Object} - { id, name, model, url, complete(prompt, { timeout, cwd }) }
+ */
+export function resolveBackend(options = {}) {
+  const { backend: id = DEFAULT_BACKEND, model, url } = options;
+  const backend = getBackend(id);
+  if (!backend) {
+    throw new Error(`Invalid AI backend: "${id}". Valid options: ${Object.keys(BACKENDS).join(', ')}`);
+  }
+  if (!model && !backend.defaultModel) {
+    throw new Error(`The ${id} backend needs a model name. Pass --ai-model <name> or set "aiModel" in clauderc.config.json`);
+  }
+
+  const resolved = {
+    id: backend.id,
+    name: backend.name,
+    model: model || backend.defaultModel,
+    url: url || backend.defaultUrl || null,
+  };
+  resolved.complete = (prompt, { timeout = 60000, cwd = process.cwd() } = {}) =>
+    backend.complete(prompt, { model: resolved.model, url: resolved.url, timeout, cwd });
+  return resolved;
+}
+
+export default { BACKENDS, DEFAULT_BACKEND, getBackend, resolveBackend };
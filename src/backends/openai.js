@@ -0,0 +1,31 @@
+/**
+ * OpenAI-compatible chat completions backend
+ * Meant for self-hosted model servers (Ollama, vLLM, llama.cpp, LM Studio); the default URL is Ollama's
+ */
+
+import { postJSON } from './http.js';
+
+async function complete(prompt, { model, url, timeout }) {
+  // Local servers usually need no key
+  const apiKey = process.env.OPENAI_API_KEY;
+
+  const response = await postJSON(`${url.replace(/\/$/, '')}/chat/completions`, {
+    model,
+    temperature: 0,
+    messages: [{ role: 'user', content: prompt }],
+  }, {
+    headers: apiKey ? { authorization: `Bearer ${apiKey}` } : {},
+    timeout,
+  });
+
+  return response.choices?.[0]?.message?.content || '';
+}
+
+export const openaiBackend = {
+  id: 'openai',
+  name: 'OpenAI-compatible API',
+  // No default model: local servers only serve the models that were pulled
+  defaultModel: null,
+  defaultUrl: 'http://localhost:11434/v1',
+  complete,
+};
@@ -0,0 +1,57 @@
+/**
+ * Cache of AI analysis results
+ * Entries are keyed by a hash of the analysis prompt inputs, so any change to the
+ * project files, the prompt or the model misses the cache
+ */
+
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from 'fs';
+import { dirname, join } from 'path';
+import { homedir } from 'os';
+
+export const ANALYSIS_CACHE_FILE = join(homedir(), '.claude', '.clauderc', 'analysis-cache.json');
+
+// Oldest entries are dropped beyond this
+const MAX_ENTRIES = 50;
+
+function readCache(file) {
+  if (!existsSync(file)) return {};
+  try {
+    const cache = JSON.parse(readFileSync(file, 'utf-8'));
+    return cache && typeof cache.entries === 'object' ? cache.entries : {};
+  } catch {
+    // A corrupt cache is only a missed optimization
+    return {};
+  }
+}
+
+/**
+ * Cached analysis for a key
+ * @param {string} key - Hash of the analysis inputs
+ * @param {string} file - Cache file
+ * @returns {Object|null} - { analysis, createdAt }
+ */
+export function loadCachedAnalysis(key, file = ANALYSIS_CACHE_FILE) {
+  return readCache(file)[key] || null;
+}
+
+/**
+ * Store an analysis
+ * @param {string} key - Hash of the analysis inputs
+ * @param {Object} analysis - Validated analysis response
+ * @param {string} file - Cache file
+ */
+export function saveCachedAnalysis(key, analysis, file = ANALYSIS_CACHE_FILE) {
+  const entries = { ...readCache(file), [key]: { analysis, createdAt: new Date().toISOString() } };
+  const kept = Object.entries(entries)
+    .sort(([, a], [, b]) => b.createdAt.localeCompare(a.createdAt))
+    .slice(0, MAX_ENTRIES);
+
+  try {
+    mkdirSync(dirname(file), { recursive: true });
+    writeFileSync(file, JSON.stringify({ entries: Object.fromEntries(kept) }, null, 2) + '\n');
+  } catch (error) {
+    console.warn(`  ⚠ Could not write analysis cache ${file}: ${error.message}`);
+  }
+}
+
+export default { loadCachedAnalysis, saveCachedAnalysis, ANALYSIS_CACHE_FILE };
@@ -0,0 +1,150 @@
+/**
+ * Project configuration (clauderc.config.json)
+ * Persists wizard choices so the generated files can be reproduced
+ */
+
+import { existsSync, readFileSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { homedir } from 'os';
+import { validateRedactPatterns } from './redact.js';
+
+export const PROJECT_CONFIG_FILE = 'clauderc.config.json';
+
+// Settings that apply to every project, such as in-house detector plugins
+export const USER_CONFIG_FILE = join(homedir(), '.claude', PROJECT_CONFIG_FILE);
+
+const CONFIG_KEYS = ['providers', 'ai', 'aiBackend', 'aiModel', 'aiUrl', 'rules', 'commands', 'disabledCommands', 'primaryStack', 'analysis'];
+
+// Command files the providers generate; any of them can be listed in "disabledCommands"
+export const COMMAND_FILES = ['test', 'lint', 'verify', 'setup', 'pr', 'commit', 'worktree', 'fix', 'review'];
+
+/**
+ * Load clauderc.config.json from the project root
+ * @param {string} projectPath - Path to the project
+ * @returns {Object|null} - Parsed config, or null if the file does not exist
+ */
+export function loadProjectConfig(projectPath = process.cwd()) {
+  const configPath = join(projectPath, PROJECT_CONFIG_FILE);
+  if (!existsSync(configPath)) return null;
+
+  let config;
+  try {
+    config = JSON.parse(readFileSync(configPath, 'utf-8'));
+  } catch (error) {
+    throw new Error(`Could not parse ${PROJECT_CONFIG_FILE}: ${error.message}`);
+  }
+
+  if (config.providers && (!Array.isArray(config.providers) ||
+      config.providers.some(p => !['claude', 'cursor'].includes(p)))) {
+    throw new Error(`"providers" in ${PROJECT_CONFIG_FILE} must be an array of "claude" and/or "cursor"`);
+  }
+  for (const key of ['rules', 'disabledCommands']) {
+    if (config[key] && !Array.isArray(config[key])) {
+      throw new Error(`"${key}" in ${PROJECT_CONFIG_FILE} must be an array`);
+    }
+  }
+  validateDisabledCommands(config.disabledCommands || [], PROJECT_CONFIG_FILE);
+  if (config.commands && (typeof config.commands !== 'object' || Array.isArray(config.commands))) {
+    throw new Error(`"commands" in ${PROJECT_CONFIG_FILE} must be an object`);
+  }
+  const isObject = (value) => value && typeof value === 'object' && !Array.isArray(value);
+  if (config.analysis && (!isObject(config.analysis) || !isObject(config.analysis.result) ||
+      (config.analysis.choices && !isObject(config.analysis.choices)))) {
+    throw new Error(`"analysis" in ${PROJECT_CONFIG_FILE} must be an object with a "result"; run \`clauderc regenerate --refresh\` to store a new one`);
+  }
+  if (config.primaryStack && typeof config.primaryStack !== 'string') {
+    throw new Error(`"primaryStack" in ${PROJECT_CONFIG_FILE} must be a stack id such as "node" or "python"`);
+  }
+  validateDetectors(config, PROJECT_CONFIG_FILE);
+  validateAISettings(config, PROJECT_CONFIG_FILE);
+
+  return config;
+}
+
+/**
+ * Load ~/.claude/clauderc.config.json
+ * Only "detectors" and the AI settings (backend, file lists, redaction) are read from it; the other keys are per project
+ * @returns {Object|null} - Parsed config, or null if the file does not exist
+ */
+export function loadUserConfig() {
+  if (!existsSync(USER_CONFIG_FILE)) return null;
+
+  let config;
+  try {
+    config = JSON.parse(readFileSync(USER_CONFIG_FILE, 'utf-8'));
+  } catch (error) {
+    throw new Error(`Could not parse ${USER_CONFIG_FILE}: ${error.message}`);
+  }
+  validateDetectors(config, USER_CONFIG_FILE);
+  validateAISettings(config, USER_CONFIG_FILE);
+
+  return config;
+}
+
+/**
+ * Check names given for "disabledCommands"
+ * @param {string[]} names - Command file names
+ * @param {string} source - Where they came from, for the error message
+ */
+export function validateDisabledCommands(names, source) {
+  const unknown = names.filter(name => !COMMAND_FILES.includes(name));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown command in "disabledCommands" in ${source}: ${unknown.join(', ')}. Valid commands: ${COMMAND_FILES.join(', ')}`);
+  }
+}
+
+function validateDetectors(config, file) {
+  if (config.detectors && (!Array.isArray(config.detectors) || config.detectors.some(p => typeof p !== 'string'))) {
+    throw new Error(`"detectors" in ${file} must be an array of module paths`);
+  }
+}
+
+// The backend id itself is checked when the backend is resolved
+function validateAISettings(config, file) {
+  for (const key of ['aiBackend', 'aiModel', 'aiUrl']) {
+    if (config[key] && typeof config[key] !== 'string') {
+      throw new Error(`"${key}" in ${file} must be a string`);
+    }
+  }
+  if (config.aiUrl && !/^https?:\/\//.test(config.aiUrl)) {
+    throw new Error(`"aiUrl" in ${file} must be an http:// or https:// URL`);
+  }
+  for (const key of ['aiAllowFiles', 'aiDenyFiles', 'aiRedact']) {
+    if (config[key] && (!Array.isArray(config[key]) || config[key].some(p => typeof p !== 'string'))) {
+      throw new Error(`"${key}" in ${file} must be an array of strings`);
+    }
+  }
+  validateRedactPatterns(config.aiRedact || [], file);
+}
+
+/**
+ * Write clauderc.config.json, keeping keys clauderc does not manage
+ * @param {string} projectPath - Path to the project
+ * @param {Object} config - Values to store
+ * @returns {string} - Path of the written file
+ */
+export function saveProjectConfig(projectPath, config) {
+  const configPath = join(projectPath, PROJECT_CONFIG_FILE);
+  const existing = loadProjectConfig(projectPath) || {};
+  const next = { ...existing };
+
+  for (const key of CONFIG_KEYS) {
+    if (config[key] !== undefined && config[key] !== null) {
+      next[key] = config[key];
+    }
+  }
+
+  writeFileSync(configPath, JSON.stringify(next, null, 2) + '\n');
+  return configPath;
+}
+
+/**
+ * Convert a providers array to a provider choice ('claude', 'cursor' or 'both')
+ */
+export function providersToChoice(providers) {
+  if (!providers?.length) return null;
+  if (providers.includes('claude') && providers.includes('cursor')) return 'both';
+  return providers[0];
+}
+
+export default { loadProjectConfig, loadUserConfig, saveProjectConfig, providersToChoice, validateDisabledCommands, PROJECT_CONFIG_FILE, USER_CONFIG_FILE, COMMAND_FILES };
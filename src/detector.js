@@ -2,10 +2,15 @@
  * Project stack detector
  */
 
-import { existsSync, readFileSync, readdirSync } from 'fs';
-import { join } from 'path';
-import { execSync } from 'child_process';
-import { STACKS, MONOREPO_TOOLS, CI_PLATFORMS } from './stacks.js';
+import { existsSync, readFileSync, readdirSync, statSync } from 'fs';
+import { join, basename } from 'path';
+import { createHash } from 'crypto';
+import { STACKS, MONOREPO_TOOLS, CI_PLATFORMS, TASK_RUNNERS, TASK_TARGETS, RUNTIMES, TEST_FRAMEWORKS, LINT_TOOLS } from './stacks.js';
+import { registerDetector, getDetectors, getDetector } from './detectors.js';
+import { resolveBackend } from './backends/index.js';
+import { validateSchema } from './schema.js';
+import { redactSecrets, matchesFilePattern } from './redact.js';
+import { loadCachedAnalysis, saveCachedAnalysis } from './cache.js';
 
 /**
  * Files to read for LLM analysis
@@ -14,6 +19,10 @@ const ANALYSIS_FILES = [
   'package.json',
   'pyproject.toml',
   'requirements.txt',
+  'setup.cfg',
+  'tox.ini',
+  'noxfile.py',
+  '.pre-commit-config.yaml',
   'go.mod',
   'Cargo.toml',
   'composer.json',
@@ -25,6 +34,21 @@ const ANALYSIS_FILES = [
   'pubspec.yaml',
   'Package.swift',
   '*.csproj',
+  'deno.json',
+  'deno.jsonc',
+  'build.sbt',
+  'build.sc',
+  'CMakeLists.txt',
+  'meson.build',
+  'build.zig',
+  'stack.yaml',
+  'cabal.project',
+  '*.cabal',
+  'gradle/libs.versions.toml',
+  'Makefile',
+  'justfile',
+  'Taskfile.yml',
+  'Taskfile.yaml',
   'turbo.json',
   'nx.json',
   'pnpm-workspace.yaml',
@@ -47,8 +71,13 @@ const ANALYSIS_FILES = [
 
 /**
  * Read relevant project files for analysis
+ * @param {string} projectPath - Path to the project
+ * @param {Object} options - { allow, deny }: file patterns; with `allow`, only matching files are read
  */
-function readProjectFiles(projectPath) {
+function readProjectFiles(projectPath, options = {}) {
+  const { allow = [], deny = [] } = options;
+  const permitted = (path) => (allow.length === 0 || allow.some(pattern => matchesFilePattern(path, pattern))) &&
+    !deny.some(pattern => matchesFilePattern(path, pattern));
   const files = {};
 
   for (const pattern of ANALYSIS_FILES) {
@@ -67,9 +96,9 @@ function readProjectFiles(projectPath) {
         const dirFiles = safeReadDir(searchPath);
         const regex = new RegExp('^' + filePattern.replace(/\./g, '\\.').replace(/\*/g, '.*') + '$');
         for (const file of dirFiles) {
-          if (regex.test(file)) {
-            const fullPath = join(searchPath, file);
-            const relativePath = fullPath.replace(projectPath + '/', '');
+          const fullPath = join(searchPath, file);
+          const relativePath = fullPath.replace(projectPath + '/', '');
+          if (regex.test(file) && permitted(relativePath)) {
             const content = safeReadFile(fullPath);
             if (content && content.length < 10000) { // Limit file size
               files[relativePath] = content;
@@ -79,7 +108,7 @@ function readProjectFiles(projectPath) {
       }
     } else {
       const fullPath = join(projectPath, pattern);
-      if (existsSync(fullPath)) {
+      if (existsSync(fullPath) && permitted(pattern)) {
         const content = safeReadFile(fullPath);
         if (content && content.length < 10000) {
           files[pattern] = content;
@@ -92,16 +121,206 @@ function readProjectFiles(projectPath) {
 }
 
 /**
- * Analyze project using Claude LLM
- * @param {string} projectPath - Path to the project
- * @returns {Object} - Detection result compatible with detectStack output
+ * Languages the analysis prompt offers, mapped to stack ids
  */
-export function analyzeWithClaude(projectPath = process.cwd()) {
-  const files = readProjectFiles(projectPath);
+const AI_LANGUAGES = {
+  'Node.js': 'node',
+  'Python': 'python',
+  'Go': 'go',
+  'Rust': 'rust',
+  'Java': 'java',
+  'PHP': 'php',
+  'Ruby': 'ruby',
+  '.NET': 'dotnet',
+  'Elixir': 'elixir',
+  'Dart': 'dart',
+  'Swift': 'swift',
+  'Deno': 'deno',
+  'Kotlin Multiplatform': 'kmp',
+  'Scala': 'scala',
+  'C/C++': 'cpp',
+  'Zig': 'zig',
+  'Haskell': 'haskell',
+};
 
-  if (Object.keys(files).length === 0) {
-    console.warn('  ⚠ No project files found for analysis');
-    return null;
+/**
+ * Other names models give those languages (lowercase)
+ */
+const LANGUAGE_ALIASES = {
+  'typescript': 'Node.js',
+  'javascript': 'Node.js',
+  'node': 'Node.js',
+  'nodejs': 'Node.js',
+  'kotlin': 'Java',
+  'c#': '.NET',
+  'csharp': '.NET',
+  'f#': '.NET',
+  'dotnet': '.NET',
+  'golang': 'Go',
+  'flutter': 'Dart',
+  'c': 'C/C++',
+  'c++': 'C/C++',
+  'cpp': 'C/C++',
+  'kmp': 'Kotlin Multiplatform',
+};
+
+const STACK_FIELDS = ['framework', 'packageManager', 'monorepo', 'testFramework', 'linter', 'formatter', 'ci'];
+
+/**
+ * Command keys used by generated CLAUDE.md, command files and Cursor rules
+ */
+export const COMMAND_KEYS = ['setup', 'dev', 'test', 'lint', 'format', 'typecheck', 'build', 'verify'];
+
+// Without these there is nothing to use; any other invalid field is dropped
+const REQUIRED_PATHS = ['', 'stack', 'commands', 'stack.language'];
+
+/**
+ * JSON schema of the analysis response
+ * Plugin stacks are accepted by their display name
+ */
+function analysisSchema() {
+  const nullableString = { type: ['string', 'null'] };
+  const languages = [...new Set([
+    ...Object.keys(AI_LANGUAGES),
+    ...getDetectors('stack').map(d => d.name).filter(Boolean),
+  ])];
+  return {
+    type: 'object',
+    required: ['stack', 'commands'],
+    properties: {
+      stack: {
+        type: 'object',
+        required: ['language'],
+        properties: {
+          language: { type: 'string', enum: languages },
+          ...Object.fromEntries(STACK_FIELDS.map(field => [field, nullableString])),
+        },
+      },
+      commands: {
+        type: 'object',
+        properties: Object.fromEntries(COMMAND_KEYS.map(field => [field, nullableString])),
+      },
+      preferences: {
+        type: ['object', 'null'],
+        properties: { notes: nullableString },
+      },
+    },
+  };
+}
+
+/**
+ * First complete JSON object in a model response, skipping prose and code fences around it
+ */
+function extractJSON(text) {
+  for (let start = text.indexOf('{'); start !== -1; start = text.indexOf('{', start + 1)) {
+    let depth = 0;
+    let inString = false;
+    let escaped = false;
+    for (let i = start; i < text.length; i++) {
+      const ch = text[i];
+      if (inString) {
+        if (escaped) escaped = false;
+        else if (ch === '\\') escaped = true;
+        else if (ch === '"') inString = false;
+      } else if (ch === '"') {
+        inString = true;
+      } else if (ch === '{') {
+        depth++;
+      } else if (ch === '}' && --depth === 0) {
+        try {
+          return JSON.parse(text.slice(start, i + 1));
+        } catch {
+          break;
+        }
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Map language aliases to the names the prompt offers and "none"-like strings to null
+ */
+function normalizeAnalysis(analysis) {
+  const empty = (value) => typeof value === 'string' && ['', 'null', 'none', 'n/a'].includes(value.trim().toLowerCase());
+  const { stack, commands } = analysis;
+
+  if (stack && typeof stack === 'object') {
+    if (typeof stack.language === 'string') {
+      const language = stack.language.trim();
+      const lower = language.toLowerCase();
+      stack.language = LANGUAGE_ALIASES[lower] ||
+        Object.keys(AI_LANGUAGES).find(name => name.toLowerCase() === lower) ||
+        getDetectors('stack').find(d => d.name?.toLowerCase() === lower)?.name ||
+        language;
+    }
+    for (const field of STACK_FIELDS) {
+      if (empty(stack[field])) stack[field] = null;
+    }
+  }
+  if (commands && typeof commands === 'object') {
+    for (const field of COMMAND_KEYS) {
+      if (empty(commands[field])) commands[field] = null;
+    }
+  }
+  return analysis;
+}
+
+/**
+ * Extract, normalize and validate an analysis response
+ * @param {string} response - Raw model output
+ * @returns {{ analysis: Object|null, errors: Array<{ path: string, message: string }> }}
+ */
+function parseAnalysis(response) {
+  const analysis = extractJSON(response);
+  if (!analysis || typeof analysis !== 'object' || Array.isArray(analysis)) {
+    return { analysis: null, errors: [{ path: '', message: 'response must contain a JSON object' }] };
+  }
+  normalizeAnalysis(analysis);
+  return { analysis, errors: validateSchema(analysis, analysisSchema()) };
+}
+
+function isUsable({ analysis, errors }) {
+  return analysis !== null && !errors.some(error => REQUIRED_PATHS.includes(error.path));
+}
+
+/**
+ * Remove the fields that failed validation
+ * @returns {string[]} - Paths of the removed fields
+ */
+function dropInvalidFields(analysis, errors) {
+  const dropped = [];
+  for (const { path } of errors) {
+    const keys = path.split('.');
+    const parent = keys.slice(0, -1).reduce((value, key) => value?.[key], analysis);
+    if (parent && typeof parent === 'object') {
+      delete parent[keys[keys.length - 1]];
+      dropped.push(path);
+    }
+  }
+  return dropped;
+}
+
+/**
+ * Bump when the prompt or response handling changes so cached analyses are not reused
+ */
+const ANALYSIS_PROMPT_VERSION = 1;
+
+/**
+ * Build the analysis prompt from the project files, with secrets redacted
+ * @param {string} projectPath - Path to the project
+ * @param {Object} options - { allow, deny } file patterns and `redact`, extra regular expressions to redact
+ * @returns {Object|null} - { prompt, files, redactions: [{ file, type, count }] }, or null without project files
+ */
+export function buildAnalysisPrompt(projectPath = process.cwd(), options = {}) {
+  const files = readProjectFiles(projectPath, options);
+  if (Object.keys(files).length === 0) return null;
+
+  const redactions = [];
+  for (const [name, content] of Object.entries(files)) {
+    const result = redactSecrets(content, { patterns: options.redact });
+    files[name] = result.content;
+    redactions.push(...result.redactions.map(redaction => ({ file: name, ...redaction })));
   }
 
   const filesContent = Object.entries(files)
@@ -116,9 +335,9 @@ ${filesContent}
 Return ONLY valid JSON (no markdown, no explanation) with this exact structure:
 {
   "stack": {
-    "language": "Node.js|Python|Go|Rust|Java|PHP|Ruby|.NET|Elixir|Dart|Swift",
+    "language": "Node.js|Deno|Python|Go|Rust|Java|Kotlin Multiplatform|Scala|PHP|Ruby|.NET|Elixir|Dart|Swift|C/C++|Zig|Haskell",
     "framework": "Next.js|Nuxt|React|Vue|FastAPI|Django|Flask|Express|Gin|Rails|Laravel|Phoenix|etc or null",
-    "packageManager": "npm|pnpm|bun|yarn|pip|poetry|uv|cargo|go|maven|gradle|composer|bundler|mix|etc",
+    "packageManager": "npm|pnpm|bun|yarn|deno|pip|poetry|uv|pdm|rye|hatch|cargo|go|maven|gradle|sbt|mill|composer|bundler|mix|cmake|meson|zig|stack|cabal|etc",
     "monorepo": "turborepo|nx|lerna|pnpm-workspaces|yarn-workspaces or null",
     "testFramework": "vitest|jest|pytest|go test|cargo test|phpunit|rspec|etc or null",
     "linter": "eslint|biome|ruff|golangci-lint|clippy|rubocop|etc or null",
@@ -148,50 +367,118 @@ IMPORTANT:
 - Look at scripts in package.json for exact command names
 - Return commands that will actually work for this project`;
 
+  // Cache key input: the files as sent plus the prompt version
+  const hash = createHash('sha256').update(`v${ANALYSIS_PROMPT_VERSION}\n`);
+  for (const [name, content] of Object.entries(files)) {
+    hash.update(`${name}\0${content}\0`);
+  }
+
+  return { prompt, files: Object.keys(files), redactions, hash: hash.digest('hex') };
+}
+
+/**
+ * Convert a validated analysis to detectStack compatible format
+ */
+function analysisResult(analysis, backend, extra) {
+  return {
+    analysis,
+    stack: convertToStackFormat(analysis.stack),
+    commands: analysis.commands,
+    preferences: analysis.preferences,
+    source: backend.name,
+    ...extra,
+  };
+}
+
+/**
+ * Rebuild an analysis stored in clauderc.config.json, without calling the backend
+ * The file is edited by hand and committed, so the stored response is validated again
+ * @param {Object} stored - { result, createdAt } as saved by the wizard
+ * @param {Object} backend - Resolved AI backend that produced the analysis
+ * @returns {Object|null} - Same shape as analyzeWithClaude, or null if the stored analysis is unusable
+ */
+export function restoreAnalysis(stored, backend) {
+  const analysis = JSON.parse(JSON.stringify(stored.result));
+  normalizeAnalysis(analysis);
+  const result = { analysis, errors: validateSchema(analysis, analysisSchema()) };
+  if (!isUsable(result)) {
+    console.warn(`  ⚠ Could not use the stored analysis: ${result.errors.map(error => error.message).join('; ')}`);
+    return null;
+  }
+  const dropped = dropInvalidFields(analysis, result.errors);
+  if (dropped.length > 0) {
+    console.warn(`  ⚠ Dropped invalid fields from the stored analysis: ${dropped.join(', ')}`);
+  }
+  return analysisResult(analysis, backend, { dropped, cachedAt: stored.createdAt || null });
+}
+
+/**
+ * Analyze project with an LLM
+ * @param {string} projectPath - Path to the project
+ * @param {Object} backend - Resolved AI backend (see src/backends/index.js)
+ * @param {Object|null} request - Result of buildAnalysisPrompt
+ * @param {Object} options - { cacheFile, refresh }: reuse and store analyses in cacheFile unless refresh is set
+ * @returns {Promise<Object|null>} - Detection result compatible with detectStack output
+ */
+export async function analyzeWithClaude(projectPath = process.cwd(), backend = resolveBackend(), request = buildAnalysisPrompt(projectPath), options = {}) {
+  const { cacheFile = null, refresh = false } = options;
+  if (!request) {
+    console.warn('  ⚠ No project files found for analysis');
+    return null;
+  }
+
+  // The same files and prompt version give the same analysis from the same model
+  const cacheKey = `${request.hash}:${backend.id}:${backend.model}`;
+  const cached = cacheFile && !refresh ? loadCachedAnalysis(cacheKey, cacheFile) : null;
+  if (cached) {
+    return analysisResult(cached.analysis, backend, { dropped: [], cachedAt: cached.createdAt });
+  }
+
+  const { prompt } = request;
+  const requestOptions = {
+    timeout: 120000, // 2 minute timeout
+    cwd: projectPath,
+  };
+
   try {
-    // Use stdin to avoid shell escaping issues with large prompts
-    const result = execSync('claude -p --model haiku', {
-      input: prompt,
-      encoding: 'utf-8',
-      maxBuffer: 1024 * 1024 * 10,
-      timeout: 120000, // 2 minute timeout
-      cwd: projectPath,
-    });
+    const response = await backend.complete(prompt, requestOptions);
+    let result = parseAnalysis(response);
 
-    // Extract JSON from response
-    const jsonMatch = result.match(/\{[\s\S]*\}/);
-    if (!jsonMatch) {
-      console.warn('  ⚠ Could not parse Claude response - no JSON found in output');
-      return null;
+    // Ask once more, quoting what was wrong; keep the first answer if the retry is worse
+    if (result.errors.length > 0) {
+      console.warn(`  ⚠ ${backend.name} response did not match the expected structure, asking again`);
+      const retryPrompt = `${prompt}
+
+Your previous response was:
+${response.trim()}
+
+It did not match the required structure:
+${result.errors.map(error => `- ${error.message}`).join('\n')}
+
+Return ONLY the corrected JSON.`;
+      const retry = parseAnalysis(await backend.complete(retryPrompt, requestOptions));
+      if (isUsable(retry) || !isUsable(result)) {
+        result = retry;
+      }
     }
 
-    let analysis;
-    try {
-      analysis = JSON.parse(jsonMatch[0]);
-    } catch (parseError) {
-      console.warn('  ⚠ Could not parse JSON from Claude response:', parseError.message);
+    const { analysis, errors } = result;
+    if (!isUsable(result)) {
+      console.warn(`  ⚠ Could not use ${backend.name} response: ${errors.map(error => error.message).join('; ')}`);
       return null;
     }
 
-    // Validate the analysis has the expected structure
-    if (!analysis.stack || !analysis.commands) {
-      console.warn('  ⚠ Claude response missing required fields (stack, commands)');
-      return null;
+    const dropped = dropInvalidFields(analysis, errors);
+    if (dropped.length > 0) {
+      console.warn(`  ⚠ Dropped invalid fields from ${backend.name} response: ${errors.map(error => error.message).join('; ')}`);
     }
 
-    // Convert to detectStack compatible format
-    return {
-      analysis,
-      stack: convertToStackFormat(analysis.stack),
-      commands: analysis.commands,
-      preferences: analysis.preferences,
-    };
-  } catch (error) {
-    if (error.code === 'ENOENT') {
-      console.warn('  ⚠ Claude CLI not found - install from https://claude.com/code');
-    } else {
-      console.warn('  ⚠ Claude analysis failed:', error.message);
+    if (cacheFile) {
+      saveCachedAnalysis(cacheKey, analysis, cacheFile);
     }
+    return analysisResult(analysis, backend, { dropped, cachedAt: null });
+  } catch (error) {
+    console.warn(`  ⚠ ${backend.name} analysis failed:`, error.message);
     return null;
   }
 }
@@ -212,24 +499,13 @@ function convertToStackFormat(llmStack) {
     typechecker: null,
   };
 
-  // Map language to stack
-  const languageMap = {
-    'Node.js': 'node',
-    'Python': 'python',
-    'Go': 'go',
-    'Rust': 'rust',
-    'Java': 'java',
-    'PHP': 'php',
-    'Ruby': 'ruby',
-    '.NET': 'dotnet',
-    'Elixir': 'elixir',
-    'Dart': 'dart',
-    'Swift': 'swift',
-  };
-
-  const stackId = languageMap[llmStack.language];
-  if (stackId && STACKS[stackId]) {
-    result.stacks.push({ id: stackId, name: llmStack.language, ...STACKS[stackId] });
+  // Plugin stacks are matched by their display name
+  const stackId = AI_LANGUAGES[llmStack.language] ||
+    getDetectors('stack').find(d => d.name === llmStack.language)?.id;
+  const detector = stackId && getDetector('stack', stackId);
+  if (detector) {
+    const { type, parse, generateCommands, permissions, ...config } = detector;
+    result.stacks.push({ ...config, name: config.name || llmStack.language });
   }
 
   // Package manager
@@ -238,6 +514,7 @@ function convertToStackFormat(llmStack) {
       name: llmStack.packageManager,
       install: getInstallCommand(llmStack.packageManager),
       run: getRunCommand(llmStack.packageManager),
+      exec: STACKS.node.packageManagers[llmStack.packageManager]?.exec,
     };
   }
 
@@ -275,7 +552,11 @@ function getInstallCommand(pm) {
     yarn: 'yarn install',
     pip: 'pip install -r requirements.txt',
     poetry: 'poetry install',
+    pipenv: 'pipenv install',
     uv: 'uv sync',
+    pdm: 'pdm install',
+    rye: 'rye sync',
+    hatch: 'hatch env create',
     cargo: 'cargo build',
     go: 'go mod download',
     maven: 'mvn install -DskipTests',
@@ -283,6 +564,14 @@ function getInstallCommand(pm) {
     composer: 'composer install',
     bundler: 'bundle install',
     mix: 'mix deps.get',
+    deno: 'deno install',
+    sbt: 'sbt update',
+    mill: 'mill __.prepareOffline',
+    cmake: 'cmake -S . -B build',
+    meson: 'meson setup build',
+    zig: 'zig build --fetch',
+    stack: 'stack build --only-dependencies',
+    cabal: 'cabal build --only-dependencies',
   };
   return commands[pm] || `${pm} install`;
 }
@@ -297,15 +586,120 @@ function getRunCommand(pm) {
     bun: 'bun run',
     yarn: 'yarn',
     poetry: 'poetry run',
+    pipenv: 'pipenv run',
     uv: 'uv run',
+    pdm: 'pdm run',
+    rye: 'rye run',
+    hatch: 'hatch run',
+    deno: 'deno task',
   };
   return commands[pm] || '';
 }
 
+/**
+ * Fields compared between detection and AI analysis, with their labels
+ */
+const RECONCILED_FIELDS = {
+  language: 'Language',
+  packageManager: 'Package manager',
+  framework: 'Framework',
+  monorepo: 'Monorepo',
+  ci: 'CI/CD',
+  testFramework: 'Tests',
+  linter: 'Linter',
+  formatter: 'Formatter',
+  ...Object.fromEntries(COMMAND_KEYS.map(key => [`commands.${key}`, `Command: ${key}`])),
+};
+
+function reconciledValue(stack, commands, field) {
+  if (field === 'language') return stack.stacks[0]?.name || null;
+  if (field.startsWith('commands.')) return commands?.[field.slice('commands.'.length)] || null;
+  const value = stack[field];
+  return (value && typeof value === 'object' ? value.name : value) || null;
+}
+
+/**
+ * Whether detection and AI name the same thing ('next' and 'Next.js', 'pnpm run test' and 'pnpm test')
+ */
+function sameReconciledValue(field, detected, ai) {
+  if (field.startsWith('commands.')) {
+    const normalize = (command) => command.trim().replace(/\s+/g, ' ').replace(/^(npm|pnpm|yarn|bun) run /, '$1 ');
+    return normalize(detected) === normalize(ai);
+  }
+  const normalize = (value) => value.toLowerCase().replace(/[^a-z0-9+#]/g, '').replace(/js$/, '');
+  const [a, b] = [normalize(detected), normalize(ai)];
+  return a.startsWith(b) || b.startsWith(a);
+}
+
+/**
+ * Combine deterministic detection with AI analysis field by field
+ * Detected values backed by high-confidence evidence (lockfiles, dependency entries, config
+ * sections) and detected commands win by default; AI fills what detection left empty and
+ * is preferred over medium- and low-confidence guesses. `choices` overrides the default
+ * for fields where both have a value.
+ * @param {Object} detection - Result of detectStack
+ * @param {Object} commands - Result of generateCommands
+ * @param {Object} aiAnalysis - Result of analyzeWithClaude
+ * @param {Object} choices - { field: 'detected' | 'ai' }
+ * @returns {{ stack: Object, commands: Object, fields: Array }} - fields lists every compared
+ *   field with { field, label, detected, ai, confidence, conflict, choice }
+ */
+export function reconcileDetection(detection, commands, aiAnalysis, choices = {}) {
+  const stack = { ...detection, evidence: { ...detection.evidence } };
+  const fields = [];
+  const source = `${aiAnalysis.source || 'AI'} analysis`;
+  let baseline = commands;
+  let merged = null;
+
+  for (const [field, label] of Object.entries(RECONCILED_FIELDS)) {
+    // Stack fields come first; detected commands follow a language or package manager taken from AI
+    if (field.startsWith('commands.') && !merged) {
+      if (stack.stacks !== detection.stacks || stack.packageManager !== detection.packageManager) {
+        baseline = generateCommands(stack);
+      }
+      merged = { ...baseline };
+    }
+
+    const detected = reconciledValue(detection, baseline, field);
+    const ai = reconciledValue(aiAnalysis.stack, aiAnalysis.commands, field);
+    if (!detected && !ai) continue;
+
+    const evidenceKey = field === 'language' ? `stacks.${detection.stacks[0]?.id}` : field;
+    const confidence = detected ? detection.evidence[evidenceKey]?.confidence || null : null;
+    const conflict = Boolean(detected && ai) && (field === 'language'
+      ? detection.stacks[0].id !== aiAnalysis.stack.stacks[0]?.id
+      : !sameReconciledValue(field, detected, ai));
+
+    let choice = ai && !detected ? 'ai' : 'detected';
+    if (conflict) {
+      const preferred = field.startsWith('commands.') || confidence === 'high' ? 'detected' : 'ai';
+      choice = ['detected', 'ai'].includes(choices[field]) ? choices[field] : preferred;
+    }
+    fields.push({ field, label, detected, ai, confidence, conflict, choice });
+
+    if (choice !== 'ai') continue;
+    if (field.startsWith('commands.')) {
+      merged[field.slice('commands.'.length)] = ai;
+      continue;
+    }
+    if (field === 'language') {
+      const [aiPrimary] = aiAnalysis.stack.stacks;
+      if (!aiPrimary) continue;
+      stack.stacks = [aiPrimary, ...detection.stacks.filter(s => s.id !== aiPrimary.id)];
+      stack.evidence[`stacks.${aiPrimary.id}`] = { value: aiPrimary.id, confidence: 'medium', sources: [source] };
+      continue;
+    }
+    stack[field] = aiAnalysis.stack[field];
+    stack.evidence[field] = { value: ai, confidence: 'medium', sources: [source] };
+  }
+
+  return { stack, commands: merged, fields };
+}
+
 /**
  * Detect commit convention tools
  */
-function detectCommitConvention(projectPath) {
+function detectCommitConvention(projectPath, record = () => {}) {
   const commitlintConfigs = [
     'commitlint.config.js',
     'commitlint.config.cjs',
@@ -326,9 +720,11 @@ function detectCommitConvention(projectPath) {
     '.releaserc.yml',
   ];
 
-  const commitlint = commitlintConfigs.some(f => existsSync(join(projectPath, f)));
-  const husky = existsSync(join(projectPath, '.husky/commit-msg'));
-  const semanticRelease = semanticReleaseConfigs.some(f => existsSync(join(projectPath, f)));
+  const sources = [...commitlintConfigs, '.husky/commit-msg', ...semanticReleaseConfigs]
+    .filter(f => existsSync(join(projectPath, f)));
+  const commitlint = commitlintConfigs.some(f => sources.includes(f));
+  const husky = sources.includes('.husky/commit-msg');
+  const semanticRelease = semanticReleaseConfigs.some(f => sources.includes(f));
 
   let commitizen = false;
   let commitlintDep = false;
@@ -344,6 +740,8 @@ function detectCommitConvention(projectPath) {
     conventionalChangelog = !!deps['conventional-changelog'];
     standardVersion = !!deps['standard-version'];
     semanticReleaseDep = !!deps['semantic-release'];
+    const packages = ['commitizen', '@commitlint/cli', 'conventional-changelog', 'standard-version', 'semantic-release'];
+    sources.push(...packages.filter(name => deps[name]).map(name => `package.json dependency "${name}"`));
   } catch {
     // no package.json or parse error
   }
@@ -356,18 +754,26 @@ function detectCommitConvention(projectPath) {
     return null;
   }
 
-  return {
+  const convention = {
     commitlint: hasCommitlint,
     husky,
     semanticRelease: hasSemanticRelease,
     commitizen: hasCommitizen,
   };
+  record('commitConvention', convention, 'high', ...sources);
+  return convention;
 }
 
 /**
  * Detect project stack from current directory
+ * Every detected field gets an entry in `evidence` with the files or keys that
+ * triggered it and a confidence level ('high', 'medium' or 'low')
+ * @param {string} projectPath - Path to the project
+ * @param {Object} options - { packages: false } skips per-package detection for monorepos,
+ *   { primaryStack: 'python' } picks the stack that drives single-valued fields
  */
-export function detectStack(projectPath = process.cwd()) {
+export function detectStack(projectPath = process.cwd(), options = {}) {
+  const { packages = true, primaryStack = null } = options;
   const result = {
     stacks: [],
     packageManager: null,
@@ -378,75 +784,122 @@ export function detectStack(projectPath = process.cwd()) {
     linter: null,
     formatter: null,
     typechecker: null,
+    evidence: {},
   };
 
-  // Detect primary stacks
-  for (const [stackId, stack] of Object.entries(STACKS)) {
-    for (const detectFile of stack.detect) {
-      if (detectFile.includes('*')) {
-        // Glob pattern
-        const pattern = detectFile.replace('*', '');
-        const files = safeReadDir(projectPath);
-        if (files.some(f => f.endsWith(pattern))) {
-          result.stacks.push({ id: stackId, ...stack });
-          break;
-        }
-      } else if (existsSync(join(projectPath, detectFile))) {
-        result.stacks.push({ id: stackId, ...stack });
-        break;
-      }
-    }
-  }
-
-  // Detect package manager for Node.js
-  const nodeStack = result.stacks.find(s => s.id === 'node');
-  if (nodeStack) {
-    result.packageManager = detectNodePackageManager(projectPath);
-    result.framework = detectNodeFramework(projectPath);
-    const tools = detectNodeTools(projectPath);
-    result.testFramework = tools.test;
-    result.linter = tools.linter;
-    result.formatter = tools.formatter;
-    result.typechecker = tools.typechecker;
+  // The first detector to claim a field wins, matching how tool fields fall back below
+  const record = (field, value, confidence, ...sources) => {
+    if (!result.evidence[field]) result.evidence[field] = { value, confidence, sources };
+  };
+  // Fields a stack provides are recorded per stack until the primary stack is known
+  const toolKeys = { testFramework: 'test', linter: 'linter', formatter: 'formatter', typechecker: 'typechecker' };
+  const perStack = ['packageManager', 'framework', ...Object.keys(toolKeys)];
+  const recordFor = (stackId) => (field, ...rest) =>
+    record(perStack.includes(field) ? `${stackId}.${field}` : field, ...rest);
+
+  // Detect stacks; each stack detector adds its package manager, framework and tools
+  for (const detector of getDetectors('stack')) {
+    const match = matchDetector(detector, projectPath, recordFor(detector.id));
+    if (!match) continue;
+    result.stacks.push(match.entry);
+    record(`stacks.${detector.id}`, detector.id, 'high', match.file);
   }
 
-  // Detect package manager for Python
-  const pythonStack = result.stacks.find(s => s.id === 'python');
-  if (pythonStack) {
-    result.packageManager = detectPythonPackageManager(projectPath);
-    result.framework = detectPythonFramework(projectPath);
+  // The primary stack comes first and provides the top-level package manager and framework
+  const primary = result.stacks.find(s => s.id === primaryStack) || result.stacks[0];
+  if (primary) {
+    result.stacks = [primary, ...result.stacks.filter(s => s !== primary)];
+    result.primaryStack = primary.id;
+    result.packageManager = primary.packageManager || null;
+    result.framework = primary.framework || null;
+    for (const field of ['packageManager', 'framework']) {
+      const entry = result.evidence[`${primary.id}.${field}`];
+      if (entry) result.evidence[field] = entry;
+    }
   }
 
-  // Detect package manager for Java
-  const javaStack = result.stacks.find(s => s.id === 'java');
-  if (javaStack) {
-    result.packageManager = detectJavaPackageManager(projectPath);
+  // Tools of the primary stack win, then those of the other stacks in order
+  for (const { id, tools, scripts } of result.stacks) {
+    for (const [field, key] of Object.entries(toolKeys)) {
+      const tool = tools?.[key];
+      if (result[field] || !tool) continue;
+      result[field] = tool;
+      const entry = result.evidence[`${id}.${field}`];
+      if (entry) result.evidence[field] = entry;
+    }
+    if (scripts) result.scripts = result.scripts || scripts;
   }
 
-  // Detect framework for Ruby
-  const rubyStack = result.stacks.find(s => s.id === 'ruby');
-  if (rubyStack) {
-    result.framework = detectRubyFramework(projectPath);
+  // Detect monorepo
+  result.monorepo = detectMonorepo(projectPath, record);
+  if (result.monorepo && packages) {
+    result.packages = detectWorkspacePackages(projectPath, result);
   }
 
-  // Detect framework for PHP
-  const phpStack = result.stacks.find(s => s.id === 'php');
-  if (phpStack) {
-    result.framework = detectPHPFramework(projectPath);
-  }
+  // Detect CI
+  result.ci = detectCI(projectPath, record);
 
-  // Detect monorepo
-  result.monorepo = detectMonorepo(projectPath);
+  // Detect task runner (make, just, task)
+  result.taskRunner = detectTaskRunner(projectPath);
+  if (result.taskRunner) record('taskRunner', result.taskRunner.name, 'high', result.taskRunner.file);
 
-  // Detect CI
-  result.ci = detectCI(projectPath);
+  // Detect pinned runtime versions (.nvmrc, .tool-versions, go.mod, ...)
+  result.runtimes = detectRuntimes(projectPath, record);
 
   // Detect commit convention
-  result.commitConvention = detectCommitConvention(projectPath);
+  result.commitConvention = detectCommitConvention(projectPath, record);
 
   return result;
 }
 
+/**
+ * Runtime list for display, e.g. "Node.js 20.11.0, Python 3.12"
+ * @param {Array} runtimes - Result of detectRuntimes
+ * @returns {string}
+ */
+export function formatRuntimes(runtimes) {
+  return runtimes.map(runtime => `${runtime.name} ${runtime.version}`).join(', ');
+}
+
+/**
+ * Describe an evidence entry for display, e.g. "high confidence: pnpm-lock.yaml"
+ * @param {Object} entry - Entry from `detection.evidence`
+ * @returns {string}
+ */
+export function describeEvidence(entry) {
+  return `${entry.confidence} confidence: ${entry.sources.join(', ') || 'no sources'}`;
+}
+
+/**
+ * First of a detector's `detect` files present in the project ('*.csproj' matches by suffix)
+ */
+function findDetectFile(projectPath, patterns) {
+  for (const pattern of [].concat(patterns)) {
+    if (pattern.includes('*')) {
+      const suffix = pattern.replace('*', '');
+      const match = safeReadDir(projectPath).find(f => f.endsWith(suffix));
+      if (match) return match;
+    } else if (existsSync(join(projectPath, pattern))) {
+      return pattern;
+    }
+  }
+  return null;
+}
+
+/**
+ * Run a registered detector against the project
+ * @returns {{ entry: Object, file: string }|null} - Detector fields plus what `parse` found, and the matched file
+ */
+function matchDetector(detector, projectPath, record) {
+  const file = findDetectFile(projectPath, detector.detect);
+  if (!file) return null;
+
+  const { type, parse, generateCommands, permissions, ...config } = detector;
+  const parsed = parse ? parse(projectPath, { file, record }) : {};
+  if (parsed === null) return null;
+  return { entry: { ...config, ...parsed }, file };
+}
+
 function safeReadDir(path) {
   try {
     return readdirSync(path);
@@ -473,21 +926,23 @@ function safeParseJSON(path) {
   }
 }
 
-function detectNodePackageManager(projectPath) {
+function detectNodePackageManager(projectPath, record = () => {}) {
   const managers = STACKS.node.packageManagers;
   for (const [name, config] of Object.entries(managers)) {
     if (existsSync(join(projectPath, config.lockfile))) {
+      record('packageManager', name, 'high', config.lockfile);
       return { name, ...config };
     }
   }
   // Default to npm if package.json exists but no lockfile
   if (existsSync(join(projectPath, 'package.json'))) {
+    record('packageManager', 'npm', 'low', 'package.json without a lockfile (default)');
     return { name: 'npm', ...managers.npm };
   }
   return null;
 }
 
-function detectNodeFramework(projectPath) {
+function detectNodeFramework(projectPath, record = () => {}) {
   const pkg = safeParseJSON(join(projectPath, 'package.json'));
   if (!pkg) return null;
 
@@ -495,13 +950,14 @@ function detectNodeFramework(projectPath) {
 
   for (const [name, config] of Object.entries(STACKS.node.frameworks)) {
     if (deps[config.detect]) {
+      record('framework', name, 'high', `package.json dependency "${config.detect}"`);
       return { name, ...config };
     }
   }
   return null;
 }
 
-function detectNodeTools(projectPath) {
+function detectNodeTools(projectPath, record = () => {}) {
   const pkg = safeParseJSON(join(projectPath, 'package.json'));
   if (!pkg) return {};
 
@@ -529,66 +985,386 @@ function detectNodeTools(projectPath) {
   // Typechecker
   if (deps.typescript) result.typechecker = 'tsc';
 
+  const packageNames = { biome: deps['@biomejs/biome'] ? '@biomejs/biome' : 'biome', tsc: 'typescript' };
+  for (const [field, key] of [['testFramework', 'test'], ['linter', 'linter'], ['formatter', 'formatter'], ['typechecker', 'typechecker']]) {
+    const tool = result[key];
+    if (tool) record(field, tool, 'high', `package.json dependency "${packageNames[tool] || tool}"`);
+  }
+
   return result;
 }
 
-function detectPythonPackageManager(projectPath) {
+function detectNodeScripts(projectPath) {
+  const pkg = safeParseJSON(join(projectPath, 'package.json'));
+  return pkg?.scripts && typeof pkg.scripts === 'object' ? pkg.scripts : {};
+}
+
+/**
+ * Pick the first package.json script matching a command's candidate names
+ * @param {Object} scripts - Scripts from package.json
+ * @param {string[]} candidates - Script names in order of preference
+ * @returns {string|null} - Matching script name
+ */
+function findScript(scripts, candidates) {
+  return candidates.find(name => typeof scripts[name] === 'string') || null;
+}
+
+function detectPythonPackageManager(projectPath, record = () => {}) {
   const managers = STACKS.python.packageManagers;
   for (const [name, config] of Object.entries(managers)) {
-    if (existsSync(join(projectPath, config.lockfile))) {
+    if (config.lockfile && existsSync(join(projectPath, config.lockfile))) {
+      // requirements.txt says nothing about the installer, so pip is only a guess
+      record('packageManager', name, name === 'pip' ? 'medium' : 'high', config.lockfile);
+      return { name, ...config };
+    }
+  }
+  // Hatch has no lockfile, but its own config file is as clear
+  for (const [name, config] of Object.entries(managers)) {
+    if (config.configFile && existsSync(join(projectPath, config.configFile))) {
+      record('packageManager', name, 'high', config.configFile);
       return { name, ...config };
     }
   }
-  // Check pyproject.toml for poetry
+  // Check pyproject.toml for poetry, pdm, rye or hatch
   const pyproject = safeReadFile(join(projectPath, 'pyproject.toml'));
   if (pyproject?.includes('[tool.poetry]')) {
+    record('packageManager', 'poetry', 'high', 'pyproject.toml [tool.poetry]');
     return { name: 'poetry', ...managers.poetry };
   }
+  const sections = (pyproject || '').split('\n').map(line => line.trim()).filter(line => line.startsWith('['));
+  for (const [name, config] of Object.entries(managers)) {
+    const section = config.config && sections.find(line => line.startsWith(config.config));
+    if (section) {
+      record('packageManager', name, 'medium', `pyproject.toml ${section}`);
+      return { name, ...config };
+    }
+  }
   if (existsSync(join(projectPath, 'requirements.txt'))) {
+    record('packageManager', 'pip', 'medium', 'requirements.txt');
     return { name: 'pip', ...managers.pip };
   }
   return null;
 }
 
-function detectPythonFramework(projectPath) {
+const PYTHON_TOOL_CONFIG_FILES = {
+  ruff: ['ruff.toml', '.ruff.toml'],
+  flake8: ['.flake8'],
+  pylint: ['.pylintrc', 'pylintrc'],
+  mypy: ['mypy.ini', '.mypy.ini'],
+  pyright: ['pyrightconfig.json'],
+  pytest: ['pytest.ini', 'conftest.py'],
+};
+
+/**
+ * Package names from dependency arrays and tables in pyproject.toml
+ * ([project] dependencies, optional-dependencies, dependency-groups, poetry/pdm/hatch tables)
+ */
+function parsePyprojectDependencies(content) {
+  const names = [];
+  let section = '';
+  let inArray = false;
+
+  for (const line of content.split('\n')) {
+    const header = line.match(/^\s*\[+([^\]]+)\]+\s*$/);
+    if (header) {
+      section = header[1].trim();
+      inArray = false;
+      continue;
+    }
+
+    const depsSection = /(^|\.)(dev-)?dependencies$|optional-dependencies$|^dependency-groups$/.test(section);
+    if (!inArray && (/^\s*[\w.-]*dependencies\s*=\s*\[/.test(line) || (depsSection && /^\s*[\w.-]+\s*=\s*\[/.test(line)))) {
+      inArray = true;
+    } else if (!inArray && depsSection) {
+      // Poetry-style table: `pytest = "^8.0"`
+      const key = line.match(/^\s*([A-Za-z0-9_.-]+)\s*=/);
+      if (key) names.push(key[1]);
+      continue;
+    }
+
+    if (inArray) {
+      for (const match of line.matchAll(/["']([A-Za-z0-9_.-]+)/g)) names.push(match[1]);
+      if (line.includes(']')) inArray = false;
+    }
+  }
+
+  return names;
+}
+
+/**
+ * Values (including indented continuation lines) of INI keys matching `keyPattern`,
+ * tested against the key name or `section.key`
+ */
+function parseIniValues(content, keyPattern) {
+  const values = [];
+  let section = '';
+  let collecting = false;
+
+  for (const line of content.split('\n')) {
+    const header = line.match(/^\[([^\]]+)\]/);
+    if (header) {
+      section = header[1].trim();
+      collecting = false;
+      continue;
+    }
+
+    const entry = line.match(/^([\w.-]+)\s*[=:]\s*(.*)$/);
+    if (entry) {
+      collecting = keyPattern.test(entry[1]) || keyPattern.test(`${section}.${entry[1]}`);
+      if (collecting && entry[2]) values.push(entry[2]);
+    } else if (collecting && /^\s+\S/.test(line)) {
+      values.push(line.trim());
+    } else if (line.trim()) {
+      collecting = false;
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Find Python test, lint, format and typecheck tools from config sections and dependencies
+ */
+function detectPythonTools(projectPath, record = () => {}) {
+  // Tool name to the places it was found; config sections and files count as high confidence
+  const found = new Map();
+  const known = new Set([...TEST_FRAMEWORKS.python, ...LINT_TOOLS.python.linters,
+    ...LINT_TOOLS.python.formatters, ...LINT_TOOLS.python.typecheckers]);
+  const add = (name, source, confidence) => {
+    if (!found.has(name)) found.set(name, { sources: [], confidence: 'medium' });
+    const entry = found.get(name);
+    if (!entry.sources.includes(source)) entry.sources.push(source);
+    if (confidence === 'high') entry.confidence = 'high';
+  };
+  const addIfKnown = (name, source, confidence = 'medium') => {
+    const normalized = name.toLowerCase();
+    if (known.has(normalized)) add(normalized, source, confidence);
+  };
+
   const pyproject = safeReadFile(join(projectPath, 'pyproject.toml'));
-  const requirements = safeReadFile(join(projectPath, 'requirements.txt'));
-  const content = (pyproject || '') + (requirements || '');
+  if (pyproject) {
+    for (const match of pyproject.matchAll(/^\s*\[tool\.([\w-]+)/gm)) addIfKnown(match[1], `pyproject.toml [tool.${match[1]}]`, 'high');
+    if (/^\s*\[tool\.ruff\.format\]/m.test(pyproject)) add('ruff-format', 'pyproject.toml [tool.ruff.format]', 'high');
+    parsePyprojectDependencies(pyproject).forEach(name => addIfKnown(name, 'pyproject.toml dependencies'));
+  }
+
+  // setup.cfg and tox.ini use [flake8], [mypy], [tool:pytest] sections
+  for (const file of ['setup.cfg', 'tox.ini']) {
+    const content = safeReadFile(join(projectPath, file));
+    if (!content) continue;
+    for (const match of content.matchAll(/^\s*\[(?:tool:)?([\w-]+)/gm)) addIfKnown(match[1], `${file} [${match[1]}]`, 'high');
+    parseIniValues(content, /^(commands|deps|install_requires|tests_require)$|^options\.extras_require\./)
+      .forEach(value => (value.match(/[A-Za-z0-9_-]+/g) || []).forEach(word => addIfKnown(word, file)));
+  }
+
+  const noxfile = safeReadFile(join(projectPath, 'noxfile.py'));
+  if (noxfile) {
+    for (const match of noxfile.matchAll(/session\.(?:run|install)\(([^)]*)\)/g)) {
+      for (const arg of match[1].matchAll(/["']([A-Za-z0-9_.-]+)/g)) addIfKnown(arg[1], 'noxfile.py');
+    }
+  }
 
-  for (const [name, config] of Object.entries(STACKS.python.frameworks)) {
-    if (content.includes(config.detect)) {
+  const preCommit = safeReadFile(join(projectPath, '.pre-commit-config.yaml'));
+  if (preCommit) {
+    for (const match of preCommit.matchAll(/^\s*-?\s*id:\s*['"]?([\w-]+)/gm)) {
+      const source = `.pre-commit-config.yaml hook "${match[1]}"`;
+      if (match[1] === 'ruff-format') add('ruff-format', source, 'high');
+      addIfKnown(match[1], source, 'high');
+    }
+  }
+
+  for (const file of ['requirements.txt', 'requirements-dev.txt', 'dev-requirements.txt', 'requirements/dev.txt']) {
+    const content = safeReadFile(join(projectPath, file));
+    for (const match of (content || '').matchAll(/^\s*([A-Za-z0-9_.-]+)/gm)) addIfKnown(match[1], file);
+  }
+
+  for (const [tool, files] of Object.entries(PYTHON_TOOL_CONFIG_FILES)) {
+    const file = files.find(f => existsSync(join(projectPath, f)));
+    if (file) add(tool, file, 'high');
+  }
+
+  const pick = (candidates) => candidates.find(tool => found.has(tool) && STACKS.python.tools[tool]) || null;
+  const tools = {
+    test: pick(TEST_FRAMEWORKS.python),
+    linter: pick(LINT_TOOLS.python.linters),
+    // ruff also formats, but only counts as the formatter when configured for it or nothing else is
+    formatter: found.has('ruff-format') ? 'ruff' : pick(LINT_TOOLS.python.formatters),
+    typechecker: pick(LINT_TOOLS.python.typecheckers),
+  };
+
+  for (const [field, key] of [['testFramework', 'test'], ['linter', 'linter'], ['formatter', 'formatter'], ['typechecker', 'typechecker']]) {
+    const tool = tools[key];
+    if (!tool) continue;
+    const entry = key === 'formatter' && found.has('ruff-format') ? found.get('ruff-format') : found.get(tool);
+    record(field, tool, entry.confidence, ...entry.sources);
+  }
+
+  return tools;
+}
+
+function detectPythonFramework(projectPath, record = () => {}) {
+  for (const file of ['pyproject.toml', 'requirements.txt']) {
+    const content = safeReadFile(join(projectPath, file));
+    if (!content) continue;
+    for (const [name, config] of Object.entries(STACKS.python.frameworks)) {
+      if (content.includes(config.detect)) {
+        record('framework', name, 'medium', `${file} mentions "${config.detect}"`);
+        return { name, ...config };
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Build manifests that list framework dependencies, per stack
+ */
+const FRAMEWORK_MANIFESTS = {
+  go: ['go.mod'],
+  rust: ['Cargo.toml', 'src-tauri/Cargo.toml'],
+  java: ['pom.xml', 'build.gradle', 'build.gradle.kts'],
+  dotnet: ['*.csproj', '*.fsproj'],
+  elixir: ['mix.exs'],
+  dart: ['pubspec.yaml'],
+  deno: ['deno.json', 'deno.jsonc'],
+  kmp: ['build.gradle.kts', 'build.gradle', 'gradle/libs.versions.toml', 'shared/build.gradle.kts', 'composeApp/build.gradle.kts'],
+  scala: ['build.sbt', 'build.sc', 'project/plugins.sbt'],
+  haskell: ['*.cabal', 'package.yaml'],
+};
+
+/**
+ * Contents of a stack's build manifests as [file, content] pairs
+ */
+function readManifests(projectPath, stackId) {
+  const files = (FRAMEWORK_MANIFESTS[stackId] || []).flatMap(file => file.startsWith('*')
+    ? safeReadDir(projectPath).filter(f => f.endsWith(file.slice(1)))
+    : [file]);
+  return files.map(file => [file, safeReadFile(join(projectPath, file)) || '']);
+}
+
+// `application` plugin in a Gradle build: id 'application', apply plugin: 'application' or `application` in plugins { }
+const GRADLE_APPLICATION_PLUGIN = /\b(?:id\s*\(?\s*|apply\s+plugin:\s*)["']application["']|\bplugins\s*\{[^}]*?(?<![\w."'-])application(?![\w."'-])/;
+
+function detectFrameworkFromManifests(projectPath, stackId, record = () => {}) {
+  const contents = readManifests(projectPath, stackId);
+
+  for (const [name, config] of Object.entries(STACKS[stackId].frameworks || {})) {
+    for (const marker of [].concat(config.detect)) {
+      const match = contents.find(([, content]) => content.includes(marker));
+      if (match) {
+        record('framework', name, 'medium', `${match[0]} mentions "${marker}"`);
+        return { name, ...config };
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Build tool of stacks whose package managers are marked by a build file (`detect`) instead of a lockfile
+ */
+function detectBuildTool(projectPath, stackId, record = () => {}) {
+  for (const [name, config] of Object.entries(STACKS[stackId].packageManagers)) {
+    const file = findDetectFile(projectPath, config.detect);
+    if (file) {
+      record('packageManager', name, 'high', file);
       return { name, ...config };
     }
   }
   return null;
 }
 
-function detectJavaPackageManager(projectPath) {
+/**
+ * Lint and format tools a stack turns on with a config file (`config`)
+ * or a plugin in its build manifests (`detect`)
+ * @returns {{ linter: string|null, formatter: string|null }}
+ */
+function detectConfiguredTools(projectPath, stackId, record = () => {}) {
+  const manifests = readManifests(projectPath, stackId);
+  const tools = { linter: null, formatter: null };
+
+  for (const [name, config] of Object.entries(STACKS[stackId].tools)) {
+    let source = config.config && findDetectFile(projectPath, config.config);
+    if (!source && config.detect) {
+      const marker = [].concat(config.detect).find(m => manifests.some(([, content]) => content.includes(m)));
+      const manifest = marker && manifests.find(([, content]) => content.includes(marker));
+      source = manifest && `${manifest[0]} mentions "${marker}"`;
+    }
+    if (!source) continue;
+
+    for (const [field, key] of [['linter', 'lint'], ['formatter', 'format']]) {
+      if (config[key] && !tools[field]) {
+        tools[field] = name;
+        record(field, name, 'high', source);
+      }
+    }
+  }
+  return tools;
+}
+
+/**
+ * Parse deno.json / deno.jsonc, which allow comments and trailing commas
+ */
+function parseJsonc(content) {
+  if (!content) return null;
+  try {
+    return JSON.parse(content
+      .replace(/("(?:\\.|[^"\\])*")|\/\/[^\n]*|\/\*[\s\S]*?\*\//g, (match, string) => string || '')
+      .replace(/,(\s*[}\]])/g, '$1'));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Deno tasks as name to command; Deno 2 also allows { command, description } objects
+ */
+function detectDenoTasks(projectPath, file) {
+  const tasks = parseJsonc(safeReadFile(join(projectPath, file)))?.tasks || {};
+  return Object.fromEntries(Object.entries(tasks)
+    .map(([name, task]) => [name, typeof task === 'string' ? task : task?.command])
+    .filter(([, command]) => typeof command === 'string'));
+}
+
+const KOTLIN_MULTIPLATFORM = /kotlin\(\s*"multiplatform"\s*\)|org\.jetbrains\.kotlin\.multiplatform|kotlinMultiplatform|kotlin-multiplatform/;
+
+/**
+ * Kotlin Multiplatform projects apply the plugin in the root or a shared module build file
+ */
+function isKotlinMultiplatform(projectPath) {
+  return readManifests(projectPath, 'kmp').some(([, content]) => KOTLIN_MULTIPLATFORM.test(content));
+}
+
+function detectJavaPackageManager(projectPath, record = () => {}) {
   if (existsSync(join(projectPath, 'pom.xml'))) {
+    record('packageManager', 'maven', 'high', 'pom.xml');
     return { name: 'maven', ...STACKS.java.packageManagers.maven };
   }
   if (existsSync(join(projectPath, 'build.gradle.kts'))) {
+    record('packageManager', 'gradle-kts', 'high', 'build.gradle.kts');
     return { name: 'gradle-kts', ...STACKS.java.packageManagers.gradleKts };
   }
   if (existsSync(join(projectPath, 'build.gradle'))) {
+    record('packageManager', 'gradle', 'high', 'build.gradle');
     return { name: 'gradle', ...STACKS.java.packageManagers.gradle };
   }
   return null;
 }
 
-function detectRubyFramework(projectPath) {
+function detectRubyFramework(projectPath, record = () => {}) {
   const gemfile = safeReadFile(join(projectPath, 'Gemfile'));
   if (!gemfile) return null;
 
   for (const [name, config] of Object.entries(STACKS.ruby.frameworks)) {
     if (gemfile.includes(config.detect)) {
+      record('framework', name, 'medium', `Gemfile mentions "${config.detect}"`);
       return { name, ...config };
     }
   }
   return null;
 }
 
-function detectPHPFramework(projectPath) {
+function detectPHPFramework(projectPath, record = () => {}) {
   const composerJson = safeParseJSON(join(projectPath, 'composer.json'));
   if (!composerJson) return null;
 
@@ -596,39 +1372,627 @@ function detectPHPFramework(projectPath) {
 
   for (const [name, config] of Object.entries(STACKS.php.frameworks)) {
     if (deps[config.detect]) {
+      record('framework', name, 'high', `composer.json dependency "${config.detect}"`);
       return { name, ...config };
     }
   }
   return null;
 }
 
-function detectMonorepo(projectPath) {
-  for (const [name, config] of Object.entries(MONOREPO_TOOLS)) {
-    if (existsSync(join(projectPath, config.detect))) {
-      // Special check for yarn workspaces
-      if (name === 'yarnWorkspaces') {
-        const pkg = safeParseJSON(join(projectPath, 'package.json'));
-        if (!pkg?.workspaces) continue;
+function detectMonorepo(projectPath, record = () => {}) {
+  for (const detector of getDetectors('monorepo')) {
+    const match = matchDetector(detector, projectPath, record);
+    if (!match) continue;
+    record('monorepo', detector.id, 'high', match.file);
+    return { ...match.entry, name: detector.id };
+  }
+  return null;
+}
+
+const IGNORED_DIRS = new Set(['node_modules', 'dist', 'build', 'vendor', 'target']);
+
+function listSubdirs(root, dir, recursive = false, depth = 0) {
+  let entries;
+  try {
+    entries = readdirSync(join(root, dir), { withFileTypes: true });
+  } catch {
+    return [];
+  }
+
+  const dirs = [];
+  for (const entry of entries) {
+    if (!entry.isDirectory() || entry.name.startsWith('.') || IGNORED_DIRS.has(entry.name)) continue;
+    const child = dir ? `${dir}/${entry.name}` : entry.name;
+    dirs.push(child);
+    if (recursive && depth < 3) {
+      dirs.push(...listSubdirs(root, child, true, depth + 1));
+    }
+  }
+  return dirs;
+}
+
+/**
+ * Expand a workspace glob (e.g. `packages/*`, `apps/**`) into package directories
+ */
+function expandWorkspaceGlob(root, pattern) {
+  const segments = pattern.replace(/^\.\//, '').split('/').filter(Boolean);
+  let dirs = [''];
+
+  for (const segment of segments) {
+    const next = [];
+    for (const dir of dirs) {
+      if (segment === '**') {
+        next.push(dir, ...listSubdirs(root, dir, true));
+      } else if (segment.includes('*')) {
+        const regex = new RegExp('^' + segment.replace(/\./g, '\\.').replace(/\*/g, '.*') + '$');
+        next.push(...listSubdirs(root, dir).filter(d => regex.test(basename(d))));
+      } else {
+        const child = dir ? `${dir}/${segment}` : segment;
+        try {
+          if (statSync(join(root, child)).isDirectory()) next.push(child);
+        } catch {
+          // missing directory
+        }
       }
-      return { name, ...config };
     }
+    dirs = next;
   }
-  return null;
+
+  return dirs.filter(Boolean);
 }
 
-function detectCI(projectPath) {
-  for (const [name, config] of Object.entries(CI_PLATFORMS)) {
-    if (existsSync(join(projectPath, config.detect))) {
-      return { name, ...config };
+/**
+ * Read the `packages:` list from pnpm-workspace.yaml
+ */
+function parsePnpmWorkspace(content) {
+  const globs = [];
+  let inPackages = false;
+
+  for (const line of content.split('\n')) {
+    if (/^packages:\s*$/.test(line)) {
+      inPackages = true;
+      continue;
+    }
+    if (!inPackages) continue;
+
+    const item = line.match(/^\s+-\s*['"]?([^'"#]+?)['"]?\s*(#.*)?$/);
+    if (item) {
+      globs.push(item[1]);
+    } else if (/^\S/.test(line)) {
+      inPackages = false;
+    }
+  }
+  return globs;
+}
+
+/**
+ * Collect workspace globs from every monorepo config in the project
+ */
+function getWorkspaceGlobs(projectPath, monorepo) {
+  const globs = [];
+
+  const pnpmWorkspace = safeReadFile(join(projectPath, 'pnpm-workspace.yaml'));
+  if (pnpmWorkspace) globs.push(...parsePnpmWorkspace(pnpmWorkspace));
+
+  const pkg = safeParseJSON(join(projectPath, 'package.json'));
+  const workspaces = Array.isArray(pkg?.workspaces) ? pkg.workspaces : pkg?.workspaces?.packages;
+  if (Array.isArray(workspaces)) globs.push(...workspaces);
+
+  const lerna = safeParseJSON(join(projectPath, 'lerna.json'));
+  if (lerna) globs.push(...(lerna.packages || ['packages/*']));
+
+  if (monorepo?.name === 'nx' && globs.length === 0) {
+    // Nx discovers projects by their project.json; use the configured layout
+    const layout = safeParseJSON(join(projectPath, 'nx.json'))?.workspaceLayout || {};
+    globs.push(`${layout.appsDir || 'apps'}/*`, `${layout.libsDir || 'libs'}/*`, 'packages/*');
+  }
+
+  return [...new Set(globs)];
+}
+
+/**
+ * Expand workspace globs and detect the stack of every package
+ * @param {string} projectPath - Monorepo root
+ * @param {Object} rootDetection - detectStack result for the root
+ * @returns {Array<{ name: string, path: string, detection: Object }>}
+ */
+export function detectWorkspacePackages(projectPath, rootDetection) {
+  const globs = getWorkspaceGlobs(projectPath, rootDetection.monorepo);
+  const excluded = new Set(globs.filter(g => g.startsWith('!')).flatMap(g => expandWorkspaceGlob(projectPath, g.slice(1))));
+
+  const paths = new Set();
+  for (const glob of globs.filter(g => !g.startsWith('!'))) {
+    for (const dir of expandWorkspaceGlob(projectPath, glob)) {
+      if (!excluded.has(dir)) paths.add(dir);
+    }
+  }
+
+  const packages = [];
+  for (const path of [...paths].sort()) {
+    const packagePath = join(projectPath, path);
+    const pkg = safeParseJSON(join(packagePath, 'package.json'));
+    const project = safeParseJSON(join(packagePath, 'project.json'));
+    const detection = detectStack(packagePath, { packages: false });
+    if (!pkg && !project && detection.stacks.length === 0) continue;
+
+    // Packages share the root lockfile
+    if (detection.stacks[0]?.id === 'node' && rootDetection.packageManager) {
+      detection.packageManager = detection.stacks[0].packageManager = rootDetection.packageManager;
+    }
+
+    packages.push({
+      name: pkg?.name || project?.name || basename(path),
+      path,
+      detection,
+    });
+  }
+
+  return packages;
+}
+
+/**
+ * Target names declared in a Makefile (special targets like .PHONY are skipped)
+ */
+function parseMakeTargets(content) {
+  const targets = [];
+  for (const line of content.split('\n')) {
+    const match = line.match(/^([A-Za-z0-9_][\w.-]*(?:[ \t]+[A-Za-z0-9_][\w.-]*)*)[ \t]*::?(?![:=])/);
+    if (match) targets.push(...match[1].split(/\s+/));
+  }
+  return targets;
+}
+
+/**
+ * Recipe names declared in a justfile (settings, aliases and variables are skipped)
+ */
+function parseJustRecipes(content) {
+  const recipes = [];
+  for (const line of content.split('\n')) {
+    const match = line.match(/^@?([A-Za-z_][\w-]*)(?:[ \t]+[^:#]*)?:(?!=)/);
+    if (match && !['set', 'alias', 'export', 'import', 'mod'].includes(match[1])) {
+      recipes.push(match[1]);
+    }
+  }
+  return recipes;
+}
+
+/**
+ * Task names declared under `tasks:` in a Taskfile
+ */
+function parseTaskfileTasks(content) {
+  const tasks = [];
+  let inTasks = false;
+  let indent = null;
+
+  for (const line of content.split('\n')) {
+    if (/^tasks:\s*$/.test(line)) {
+      inTasks = true;
+      continue;
     }
+    if (!inTasks || !line.trim() || line.trim().startsWith('#')) continue;
+    if (/^\S/.test(line)) break;
+
+    const match = line.match(/^(\s+)['"]?([\w:.-]+)['"]?:/);
+    if (!match) continue;
+    indent = indent ?? match[1].length;
+    if (match[1].length === indent) tasks.push(match[2]);
+  }
+  return tasks;
+}
+
+const TASK_PARSERS = {
+  make: parseMakeTargets,
+  just: parseJustRecipes,
+  task: parseTaskfileTasks,
+};
+
+function detectTaskRunner(projectPath) {
+  for (const [name, config] of Object.entries(TASK_RUNNERS)) {
+    const file = config.detect.find(f => existsSync(join(projectPath, f)));
+    if (!file) continue;
+
+    const content = safeReadFile(join(projectPath, file)) || '';
+    const targets = [...new Set(TASK_PARSERS[name](content))];
+    return { name, run: config.run, file, targets };
   }
   return null;
 }
 
+/**
+ * Parse .tool-versions (asdf, mise) into plugin name to version
+ */
+function parseToolVersions(content) {
+  const versions = {};
+  for (const line of (content || '').split('\n')) {
+    const [name, version] = line.replace(/#.*/, '').trim().split(/\s+/);
+    if (name && version) versions[name] = version;
+  }
+  return versions;
+}
+
+/**
+ * Detect the runtime versions a project pins
+ * @returns {Array<{ id: string, name: string, version: string, source: string }>} - In RUNTIMES order
+ */
+function detectRuntimes(projectPath, record = () => {}) {
+  const read = (file) => safeReadFile(join(projectPath, file));
+  const firstLine = (file) => read(file)?.split('\n').map(line => line.trim()).find(line => line && !line.startsWith('#'));
+  const toolchainChannel = (file) => read(file)?.match(/^\s*channel\s*=\s*["']([^"']+)["']/m)?.[1];
+  const pkg = safeParseJSON(join(projectPath, 'package.json'));
+  const toolVersions = parseToolVersions(read('.tool-versions'));
+
+  // Version files take precedence over .tool-versions; engines is a range, not a pin
+  const candidates = {
+    node: [
+      [firstLine('.nvmrc'), '.nvmrc'],
+      [firstLine('.node-version'), '.node-version'],
+      [pkg?.volta?.node, 'package.json "volta"'],
+    ],
+    python: [[firstLine('.python-version'), '.python-version']],
+    go: [[read('go.mod')?.match(/^go\s+(\S+)/m)?.[1], 'go.mod "go" directive']],
+    // The legacy rust-toolchain file holds either TOML or just the channel
+    rust: [
+      [toolchainChannel('rust-toolchain.toml'), 'rust-toolchain.toml'],
+      [toolchainChannel('rust-toolchain') || firstLine('rust-toolchain')?.match(/^[\w.-]+$/)?.[0], 'rust-toolchain'],
+    ],
+    ruby: [[firstLine('.ruby-version'), '.ruby-version']],
+  };
+
+  const runtimes = [];
+  for (const [id, config] of Object.entries(RUNTIMES)) {
+    const toolName = config.toolVersions.find(name => toolVersions[name]);
+    const found = [
+      ...(candidates[id] || []),
+      [toolVersions[toolName], '.tool-versions'],
+      ...(id === 'node' ? [[pkg?.engines?.node, 'package.json "engines"', 'medium']] : []),
+    ].find(([version]) => version);
+    if (!found) continue;
+
+    const [raw, source, confidence = 'high'] = found;
+    const version = raw.trim().replace(/^(v|ruby-)(?=\d)/, '');
+    record(`runtimes.${id}`, version, confidence, source);
+    runtimes.push({ id, name: config.name, version, source });
+  }
+  return runtimes;
+}
+
+function detectCI(projectPath, record = () => {}) {
+  for (const detector of getDetectors('ci')) {
+    const match = matchDetector(detector, projectPath, record);
+    if (!match) continue;
+    record('ci', detector.id, 'high', match.file);
+    const entry = { ...match.entry, name: detector.id };
+    return { ...entry, commands: entry.commands || detectCICommands(projectPath, entry) };
+  }
+  return null;
+}
+
+/**
+ * Shell commands CI runs, classified by the command they correspond to.
+ * Checked in order, so `npm run test:build` counts as test; a step naming several
+ * targets, such as `turbo run lint test`, counts for each of them.
+ */
+const CI_STEP_PATTERNS = {
+  setup: /^(npm (ci|install)|pnpm (i|install)|yarn( install)?|bun install|pip install|poetry install|uv sync|pipenv install|bundle install|composer install|go mod download|mix deps\.get|dotnet restore|cargo fetch|(dart|flutter) pub get)\b/,
+  lint: /\b(lint|eslint|biome (check|lint|ci)|ruff check|flake8|pylint|golangci-lint|go vet|clippy|rubocop|phpcs|phpstan|credo|dart analyze|checkstyle)\b/,
+  typecheck: /\b(typecheck|type-check|tsc|mypy|pyright)\b/,
+  test: /\b(test|tests|pytest|jest|vitest|rspec|phpunit)\b/,
+  build: /\b(build|compile)\b/,
+};
+
+/**
+ * Command keys a CI step runs
+ * Plain words after the first add their own key, so task runner steps with several
+ * targets fill each; setup steps only ever count as setup
+ */
+function classifyCIStep(step) {
+  const keys = Object.keys(CI_STEP_PATTERNS);
+  const key = keys.find(k => CI_STEP_PATTERNS[k].test(step));
+  if (!key || key === 'setup') return key ? [key] : [];
+
+  const found = new Set([key]);
+  for (const word of step.split(/\s+/).slice(1)) {
+    if (!/^[A-Za-z][\w:-]*$/.test(word)) continue;
+    const wordKey = keys.slice(1).find(k => CI_STEP_PATTERNS[k].test(word));
+    if (wordKey) found.add(wordKey);
+  }
+  return [...found];
+}
+
+const CI_IGNORED_STEPS = /^(echo|cd|export|docker|git|curl|wget|sudo|apt|apt-get|brew|mkdir|cp|mv|rm|ls|cat|source|set|if|fi)\b/;
+
+/**
+ * Read shell commands from YAML keys such as `run:` or `script:`
+ * Handles inline values, block scalars (`|`, `>`) and lists
+ */
+function extractYamlSteps(content, keys) {
+  const steps = [];
+  const lines = content.split('\n');
+  const keyPattern = new RegExp(`^(\\s*)(-\\s+)?(?:${keys.join('|')}):\\s*(.*)$`);
+
+  for (let i = 0; i < lines.length; i++) {
+    const match = lines[i].match(keyPattern);
+    if (!match) continue;
+
+    const keyIndent = match[1].length + (match[2] ? match[2].length : 0);
+    const value = match[3].replace(/\s+#.*$/, '').trim();
+
+    if (value && !/^[|>][+-]?$/.test(value)) {
+      steps.push(value.replace(/^(['"])(.*)\1$/, '$2'));
+      continue;
+    }
+
+    // Block scalar lines are indented deeper than the key; list items may share its indent
+    const block = [];
+    for (let j = i + 1; j < lines.length; j++) {
+      const line = lines[j];
+      if (!line.trim()) continue;
+      const indent = line.match(/^\s*/)[0].length;
+      if (value) {
+        if (indent <= keyIndent) break;
+        block.push(line.trim());
+      } else {
+        if (indent < keyIndent || (indent === keyIndent && !line.trim().startsWith('- '))) break;
+        if (line.trim().startsWith('- ')) block.push(line.trim().slice(2).replace(/^(['"])(.*)\1$/, '$2'));
+      }
+    }
+
+    if (value.startsWith('>')) {
+      steps.push(block.join(' '));
+    } else {
+      steps.push(...block.join('\n').replace(/\\\n\s*/g, ' ').split('\n'));
+    }
+  }
+
+  return steps.map(step => step.trim()).filter(Boolean);
+}
+
+function readCIFiles(projectPath, patterns) {
+  const contents = [];
+  for (const pattern of patterns) {
+    const dir = pattern.includes('/') ? pattern.slice(0, pattern.lastIndexOf('/')) : '';
+    const filePattern = pattern.slice(pattern.lastIndexOf('/') + 1);
+    const regex = new RegExp('^' + filePattern.replace(/\./g, '\\.').replace(/\*/g, '.*') + '$');
+    for (const file of safeReadDir(join(projectPath, dir)).filter(f => regex.test(f)).sort()) {
+      const content = safeReadFile(join(projectPath, dir, file));
+      if (content) contents.push(content);
+    }
+  }
+  return contents;
+}
+
+/**
+ * Classify the shell commands of a CI pipeline into setup/lint/typecheck/test/build
+ * @returns {Object|null} - Command key to the CI commands for it, in pipeline order
+ */
+function detectCICommands(projectPath, config) {
+  if (!config.files) return null;
+
+  const commands = {};
+  for (const content of readCIFiles(projectPath, config.files)) {
+    for (const step of extractYamlSteps(content, config.steps)) {
+      if (CI_IGNORED_STEPS.test(step) || step.includes('${{')) continue;
+      for (const key of classifyCIStep(step)) {
+        commands[key] = commands[key] || [];
+        if (!commands[key].includes(step)) commands[key].push(step);
+      }
+    }
+  }
+
+  return Object.keys(commands).length > 0 ? commands : null;
+}
+
+/**
+ * Combine lint + test + build into a single verify command
+ */
+function composeVerify(commands) {
+  const verifyParts = [commands.lint, commands.test, commands.build].filter(Boolean);
+  return verifyParts.length > 0 ? verifyParts.join(' && ') : null;
+}
+
+/**
+ * Throw if overrides use keys that generators do not know about
+ * @param {Object} overrides - Command key to command
+ */
+export function validateCommandOverrides(overrides = {}) {
+  const unknown = Object.keys(overrides).filter(key => !COMMAND_KEYS.includes(key));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown command override: ${unknown.join(', ')}. Valid keys: ${COMMAND_KEYS.join(', ')}`);
+  }
+}
+
+/**
+ * Apply user overrides on top of generated commands
+ * @param {Object} commands - Commands from generateCommands or AI analysis
+ * @param {Object} overrides - Command key to command; an empty value removes the command
+ * @returns {Object} - Commands with overrides applied
+ */
+export function applyCommandOverrides(commands, overrides = {}) {
+  validateCommandOverrides(overrides);
+
+  const result = { ...commands };
+  for (const [key, value] of Object.entries(overrides)) {
+    result[key] = value || null;
+  }
+
+  // Overrides replace the primary stack's commands in polyglot projects
+  if (result.stacks) {
+    const [primary, ...others] = result.stacks;
+    result.stacks = [{ ...primary, commands: applyCommandOverrides(primary.commands, overrides) }, ...others];
+  }
+
+  // Keep verify in sync with overridden steps unless it was overridden itself
+  const changesVerifySteps = ['lint', 'test', 'build'].some(key => key in overrides);
+  if (changesVerifySteps && !('verify' in overrides)) {
+    result.verify = result.stacks ? joinStackCommands(result.stacks, 'verify') : composeVerify(result);
+  }
+
+  return result;
+}
+
+/**
+ * Resolve the package.json script to use for each command key
+ * @param {Object} scripts - Scripts from package.json
+ * @returns {Object} - Command key to script name
+ */
+function resolveNodeScripts(scripts = {}) {
+  const resolved = {};
+  for (const [key, candidates] of Object.entries(STACKS.node.commands)) {
+    const script = findScript(scripts, candidates);
+    if (script) resolved[key] = script;
+  }
+  return resolved;
+}
+
+/**
+ * Generate commands for one monorepo package, runnable from the repo root
+ * @param {Object} pkg - Package from detectWorkspacePackages
+ * @param {Object} rootDetection - detectStack result for the root
+ * @returns {Object} - Commands keyed like generateCommands
+ */
+export function generatePackageCommands(pkg, rootDetection) {
+  const commands = generateStackCommands(pkg.detection.stacks[0], pkg.detection);
+  const local = { ...commands };
+  const isNode = pkg.detection.stacks[0]?.id === 'node';
+  const scripts = isNode ? resolveNodeScripts(pkg.detection.scripts) : {};
+  // Monorepo tools are local dependencies, so they run through the package manager
+  const exec = rootDetection.packageManager?.exec || 'npx';
+  const filter = rootDetection.monorepo?.filter ? `${exec} ${rootDetection.monorepo.filter}` : rootDetection.packageManager?.filter;
+
+  for (const key of COMMAND_KEYS) {
+    if (key === 'verify' || !commands[key]) continue;
+
+    if (key === 'setup' && isNode) {
+      // Workspace installs happen once at the root
+      commands.setup = rootDetection.packageManager?.install || commands.setup;
+    } else if (scripts[key] && filter) {
+      commands[key] = filter.replace('{script}', scripts[key]).replace('{name}', pkg.name);
+    } else {
+      commands[key] = `cd ${pkg.path} && ${commands[key]}`;
+      continue;
+    }
+    delete local[key];
+  }
+
+  // Steps that run inside the package need their own subshell when chained with root commands
+  const steps = ['lint', 'test', 'build'].filter(key => commands[key]);
+  if (steps.length > 0 && steps.every(key => key in local)) {
+    commands.verify = `cd ${pkg.path} && ${composeVerify(local)}`;
+  } else {
+    commands.verify = composeVerify(Object.fromEntries(steps.map(key =>
+      [key, key in local ? `(${commands[key]})` : commands[key]])));
+  }
+  return commands;
+}
+
 /**
  * Generate commands based on detected stack
+ * Polyglot projects get the primary stack's commands plus `stacks`, the commands of every stack,
+ * with setup and verify combined across stacks
  */
 export function generateCommands(detection) {
+  const [primary, ...others] = detection.stacks;
+  const commands = generateStackCommands(primary, detection);
+  if (others.length === 0) return applyCICommands(applyTaskRunner(commands, detection.taskRunner), detection.ci);
+
+  const stacks = [
+    { id: primary.id, name: primary.name, commands: { ...commands } },
+    ...others.map(stack => ({
+      id: stack.id,
+      name: stack.name,
+      commands: generateStackCommands(stack, {
+        packageManager: stack.packageManager || null,
+        framework: stack.framework || null,
+        scripts: detection.scripts,
+      }),
+    })),
+  ];
+
+  commands.setup = joinStackCommands(stacks, 'setup');
+  commands.verify = joinStackCommands(stacks, 'verify');
+  commands.stacks = stacks;
+  return applyCICommands(applyTaskRunner(commands, detection.taskRunner), detection.ci);
+}
+
+/**
+ * Fill commands the stack could not generate from what CI runs
+ * @param {Object} commands - Generated commands
+ * @param {Object|null} ci - Result of detectCI
+ */
+function applyCICommands(commands, ci) {
+  const steps = ci?.commands;
+  if (!steps) return commands;
+
+  for (const key of ['setup', 'lint', 'typecheck', 'test', 'build']) {
+    if (!commands[key] && steps[key]) commands[key] = steps[key].join(' && ');
+  }
+
+  // A step with several targets runs once
+  const verifySteps = [...new Set(['lint', 'typecheck', 'test', 'build'].flatMap(key => steps[key] || []))];
+  if (!commands.verify && verifySteps.length > 0) commands.verify = verifySteps.join(' && ');
+  return commands;
+}
+
+function normalizeCommand(command) {
+  return command
+    .replace(/\s+/g, ' ')
+    .replace(/^(npm|pnpm|yarn|bun) run (test|start)\b/, '$1 $2')
+    .replace(/^(pnpm|yarn) run /, '$1 ')
+    .trim();
+}
+
+/**
+ * Find generated commands that differ from what CI runs
+ * @param {Object} commands - Final commands
+ * @param {Object|null} ci - Result of detectCI
+ * @returns {Array<{ key: string, command: string, ci: string[] }>}
+ */
+export function compareWithCI(commands, ci) {
+  const steps = ci?.commands;
+  if (!steps) return [];
+
+  const mismatches = [];
+  for (const key of ['lint', 'typecheck', 'test', 'build']) {
+    if (!commands[key] || !steps[key]) continue;
+    const generated = normalizeCommand(commands[key]);
+    const agrees = steps[key].some(step => normalizeCommand(step).startsWith(generated) || generated.includes(normalizeCommand(step)));
+    if (!agrees) mismatches.push({ key, command: commands[key], ci: steps[key] });
+  }
+  return mismatches;
+}
+
+/**
+ * Prefer task runner targets (`make test`, `just lint`, ...) over stack defaults
+ * @param {Object} commands - Generated commands
+ * @param {Object|null} taskRunner - Result of detectTaskRunner
+ */
+function applyTaskRunner(commands, taskRunner) {
+  if (!taskRunner) return commands;
+
+  const mapped = {};
+  for (const [key, candidates] of Object.entries(TASK_TARGETS)) {
+    const target = candidates.find(name => taskRunner.targets.includes(name));
+    if (target) mapped[key] = `${taskRunner.run} ${target}`;
+  }
+
+  Object.assign(commands, mapped);
+  if (!mapped.verify && ['lint', 'test', 'build'].some(key => key in mapped)) {
+    commands.verify = composeVerify(commands);
+  }
+  return commands;
+}
+
+function joinStackCommands(stacks, key) {
+  const parts = stacks.map(entry => entry.commands[key]).filter(Boolean);
+  return parts.length > 0 ? parts.join(' && ') : null;
+}
+
+/**
+ * Generate commands for a single stack
+ * @param {Object} stack - Entry from detection.stacks
+ * @param {Object} detection - Package manager, framework and scripts for this stack
+ */
+function generateStackCommands(stack, detection) {
   const commands = {
     setup: null,
     dev: null,
@@ -640,109 +2004,358 @@ export function generateCommands(detection) {
     verify: null,
   };
 
-  const stack = detection.stacks[0];
   if (!stack) return commands;
 
-  const pm = detection.packageManager;
+  const detector = getDetector('stack', stack.id);
+  if (detector?.generateCommands) {
+    Object.assign(commands, detector.generateCommands(stack, detection));
+  } else {
+    // Stacks without the hook list their commands directly
+    for (const key of COMMAND_KEYS) {
+      if (typeof stack.commands?.[key] === 'string') commands[key] = stack.commands[key];
+    }
+  }
+
+  // Generate verify command (lint + test + build) unless the stack defines one
+  commands.verify = commands.verify || composeVerify(commands);
+
+  return commands;
+}
+
+/**
+ * Permission entries for .claude/settings.json contributed by a stack's detector
+ * @param {Object} stack - Entry from detection.stacks
+ * @returns {string[]}
+ */
+export function getStackPermissions(stack) {
+  return getDetector('stack', stack.id)?.permissions?.(stack) || [];
+}
+
+const manifestFramework = (stackId) => (projectPath, { record }) =>
+  ({ framework: detectFrameworkFromManifests(projectPath, stackId, record) });
 
-  switch (stack.id) {
-    case 'node': {
+/**
+ * Hooks of the built-in stacks (see src/detectors.js for the detector interface)
+ * `generateCommands` receives the stack entry and the package manager, framework and scripts to use
+ */
+const STACK_HOOKS = {
+  node: {
+    parse: (projectPath, { record }) => {
+      // Deno installs package.json dependencies itself unless a Node lockfile says otherwise
+      const lockfiles = Object.values(STACKS.node.packageManagers).map(pm => pm.lockfile);
+      if (findDetectFile(projectPath, STACKS.deno.detect) && !findDetectFile(projectPath, lockfiles)) return null;
+
+      return {
+        packageManager: detectNodePackageManager(projectPath, record),
+        framework: detectNodeFramework(projectPath, record),
+        tools: detectNodeTools(projectPath, record),
+        scripts: detectNodeScripts(projectPath),
+      };
+    },
+    generateCommands: (stack, { packageManager: pm, framework, scripts = {} }) => {
       const run = pm?.run || 'npm run';
-      commands.setup = pm?.install || 'npm install';
-      commands.dev = `${run} dev`;
-      commands.test = `${run} test`;
-      commands.lint = `${run} lint`;
-      commands.format = `${run} format`;
-      commands.typecheck = `${run} typecheck`;
-      commands.build = `${run} build`;
-      break;
-    }
-    case 'python': {
+      const commands = { setup: pm?.install || 'npm install' };
+
+      // Only reference scripts that exist in package.json
+      for (const [key, script] of Object.entries(resolveNodeScripts(scripts))) {
+        commands[key] = `${run} ${script}`;
+      }
+
+      // Framework CLI defaults when there is no script for them; the CLI is a local dependency
+      const exec = (command) => command && !command.startsWith('node ') ? `${pm?.exec || 'npx'} ${command}` : command;
+      commands.dev = commands.dev || exec(framework?.dev) || null;
+      commands.build = commands.build || exec(framework?.build) || null;
+      return commands;
+    },
+  },
+  python: {
+    parse: (projectPath, { record }) => ({
+      packageManager: detectPythonPackageManager(projectPath, record),
+      framework: detectPythonFramework(projectPath, record),
+      tools: detectPythonTools(projectPath, record),
+    }),
+    generateCommands: (stack, { packageManager: pm, framework }) => {
       const run = pm?.run || '';
       const prefix = run ? `${run} ` : '';
-      commands.setup = pm?.install || 'pip install -r requirements.txt';
-      commands.dev = detection.framework?.dev || `${prefix}python -m app`;
-      commands.test = `${prefix}pytest`;
-      commands.lint = `${prefix}ruff check .`;
-      commands.format = `${prefix}ruff format .`;
-      commands.typecheck = `${prefix}mypy .`;
-      break;
-    }
-    case 'go':
-      commands.setup = 'go mod download';
-      commands.dev = 'go run .';
-      commands.test = 'go test ./...';
-      commands.lint = 'golangci-lint run';
-      commands.format = 'gofmt -w .';
-      commands.build = 'go build ./...';
-      break;
-    case 'rust':
-      commands.setup = 'cargo build';
-      commands.dev = 'cargo run';
-      commands.test = 'cargo test';
-      commands.lint = 'cargo clippy';
-      commands.format = 'cargo fmt';
-      commands.build = 'cargo build --release';
-      break;
-    case 'java': {
-      const isMaven = pm?.name === 'maven';
-      commands.setup = isMaven ? 'mvn install -DskipTests' : 'gradle build -x test';
-      commands.dev = isMaven ? 'mvn spring-boot:run' : 'gradle bootRun';
-      commands.test = isMaven ? 'mvn test' : 'gradle test';
-      commands.lint = isMaven ? 'mvn checkstyle:check' : 'gradle checkstyleMain';
-      commands.build = isMaven ? 'mvn package' : 'gradle build';
-      break;
-    }
-    case 'php':
-      commands.setup = 'composer install';
-      commands.test = 'vendor/bin/phpunit';
-      commands.lint = 'vendor/bin/phpcs';
-      commands.format = 'vendor/bin/php-cs-fixer fix';
-      commands.dev = detection.framework?.dev || 'php -S localhost:8000';
-      break;
-    case 'ruby':
-      commands.setup = 'bundle install';
-      commands.test = 'bundle exec rspec';
-      commands.lint = 'bundle exec rubocop';
-      commands.format = 'bundle exec rubocop -a';
-      commands.dev = detection.framework?.dev || 'bundle exec ruby app.rb';
-      break;
-    case 'dotnet':
-      commands.setup = 'dotnet restore';
-      commands.test = 'dotnet test';
-      commands.build = 'dotnet build';
-      commands.dev = 'dotnet run';
-      commands.format = 'dotnet format';
-      break;
-    case 'elixir':
-      commands.setup = 'mix deps.get';
-      commands.test = 'mix test';
-      commands.lint = 'mix credo';
-      commands.format = 'mix format';
-      commands.dev = 'mix phx.server';
-      break;
-    case 'dart':
-      const isFlutter = detection.framework?.name === 'flutter';
-      commands.setup = isFlutter ? 'flutter pub get' : 'dart pub get';
-      commands.test = isFlutter ? 'flutter test' : 'dart test';
-      commands.lint = 'dart analyze';
-      commands.format = 'dart format .';
-      commands.dev = isFlutter ? 'flutter run' : 'dart run';
-      break;
-    case 'swift':
-      commands.build = 'swift build';
-      commands.test = 'swift test';
-      commands.dev = 'swift run';
-      break;
-  }
-
-  // Generate verify command (lint + test + build)
-  const verifyParts = [commands.lint, commands.test, commands.build].filter(Boolean);
-  if (verifyParts.length > 0) {
-    commands.verify = verifyParts.join(' && ');
-  }
+      const tools = STACKS.python.tools;
+      const commands = {
+        setup: pm?.install || 'pip install -r requirements.txt',
+        dev: framework?.dev || `${prefix}python -m app`,
+      };
+
+      if (!stack.tools) {
+        // No tool detection (e.g. AI analysis): fall back to the common defaults
+        return {
+          ...commands,
+          test: `${prefix}pytest`,
+          lint: `${prefix}ruff check .`,
+          format: `${prefix}ruff format .`,
+          typecheck: `${prefix}mypy .`,
+        };
+      }
 
-  return commands;
+      const { test, linter, formatter, typechecker } = stack.tools;
+      const testCommand = test ? tools[test].test : (framework?.test || tools.pytest.test);
+      commands.test = `${prefix}${testCommand}`;
+      if (linter) commands.lint = `${prefix}${tools[linter].lint}`;
+      if (formatter) commands.format = `${prefix}${tools[formatter].format}`;
+      if (typechecker) commands.typecheck = `${prefix}${tools[typechecker].typecheck}`;
+      return commands;
+    },
+    permissions: ({ tools }) => {
+      const pythonTools = tools ? Object.values(tools).filter(Boolean) : ['pytest', 'ruff', 'mypy'];
+      return pythonTools.map(tool => tool === 'unittest' ? 'Bash(python:*)' : `Bash(${tool}:*)`);
+    },
+  },
+  go: {
+    parse: manifestFramework('go'),
+    generateCommands: () => ({
+      setup: 'go mod download',
+      dev: 'go run .',
+      test: 'go test ./...',
+      lint: 'golangci-lint run',
+      format: 'gofmt -w .',
+      build: 'go build ./...',
+    }),
+    permissions: () => ['Bash(go:*)', 'Bash(golangci-lint:*)'],
+  },
+  rust: {
+    parse: manifestFramework('rust'),
+    generateCommands: (stack, { framework }) => ({
+      setup: 'cargo build',
+      dev: framework?.dev || 'cargo run',
+      test: 'cargo test',
+      lint: 'cargo clippy',
+      format: 'cargo fmt',
+      build: framework?.build || 'cargo build --release',
+    }),
+    permissions: () => ['Bash(cargo:*)'],
+  },
+  java: {
+    // Kotlin Multiplatform builds are their own stack
+    parse: (projectPath, { record }) => isKotlinMultiplatform(projectPath) ? null : {
+      packageManager: detectJavaPackageManager(projectPath, record),
+      framework: detectFrameworkFromManifests(projectPath, 'java', record),
+      application: readManifests(projectPath, 'java')
+        .some(([file, content]) => file.startsWith('build.gradle') && GRADLE_APPLICATION_PLUGIN.test(content)),
+    },
+    generateCommands: ({ application }, { packageManager: pm, framework }) => {
+      const tool = pm?.name === 'maven' ? 'maven' : 'gradle';
+      const { commands } = STACKS.java;
+      // Framework goals first; a plain Gradle app runs with `gradle run`, Maven has no run goal without a plugin
+      const dev = framework ? framework.dev?.[tool] : (application ? commands.dev[tool] : null);
+      return {
+        setup: tool === 'maven' ? 'mvn install -DskipTests' : 'gradle build -x test',
+        dev: dev || null,
+        test: framework?.test?.[tool] || commands.test[tool],
+        lint: commands.lint[tool],
+        build: framework?.build?.[tool] || commands.build[tool],
+      };
+    },
+    permissions: () => ['Bash(mvn:*)', 'Bash(gradle:*)'],
+  },
+  php: {
+    parse: (projectPath, { record }) => ({ framework: detectPHPFramework(projectPath, record) }),
+    generateCommands: (stack, { framework }) => ({
+      setup: 'composer install',
+      test: 'vendor/bin/phpunit',
+      lint: 'vendor/bin/phpcs',
+      format: 'vendor/bin/php-cs-fixer fix',
+      dev: framework?.dev || 'php -S localhost:8000',
+    }),
+    permissions: () => ['Bash(composer:*)', 'Bash(php:*)'],
+  },
+  ruby: {
+    parse: (projectPath, { record }) => ({ framework: detectRubyFramework(projectPath, record) }),
+    generateCommands: (stack, { framework }) => ({
+      setup: 'bundle install',
+      test: 'bundle exec rspec',
+      lint: 'bundle exec rubocop',
+      format: 'bundle exec rubocop -a',
+      dev: framework?.dev || 'bundle exec ruby app.rb',
+    }),
+    permissions: () => ['Bash(bundle:*)', 'Bash(rails:*)'],
+  },
+  dotnet: {
+    parse: manifestFramework('dotnet'),
+    generateCommands: (stack, { framework }) => ({
+      setup: 'dotnet restore',
+      test: 'dotnet test',
+      build: 'dotnet build',
+      dev: framework?.dev || 'dotnet run',
+      format: 'dotnet format',
+    }),
+    permissions: () => ['Bash(dotnet:*)'],
+  },
+  elixir: {
+    parse: manifestFramework('elixir'),
+    generateCommands: (stack, { framework }) => ({
+      setup: 'mix deps.get',
+      test: 'mix test',
+      lint: 'mix credo',
+      format: 'mix format',
+      dev: framework?.dev || 'iex -S mix',
+    }),
+    permissions: () => ['Bash(mix:*)'],
+  },
+  dart: {
+    parse: manifestFramework('dart'),
+    generateCommands: (stack, { framework }) => ({
+      setup: framework?.deps || 'dart pub get',
+      test: framework?.test || 'dart test',
+      lint: 'dart analyze',
+      format: 'dart format .',
+      dev: framework?.dev || 'dart run',
+    }),
+  },
+  swift: {
+    generateCommands: () => ({
+      build: 'swift build',
+      test: 'swift test',
+      dev: 'swift run',
+    }),
+  },
+  deno: {
+    parse: (projectPath, { file, record }) => {
+      const lockfile = existsSync(join(projectPath, 'deno.lock'));
+      record('packageManager', 'deno', 'high', lockfile ? 'deno.lock' : file);
+      return {
+        packageManager: { name: 'deno', ...STACKS.deno.packageManagers.deno },
+        framework: detectFrameworkFromManifests(projectPath, 'deno', record),
+        tasks: detectDenoTasks(projectPath, file),
+      };
+    },
+    generateCommands: (stack, { framework }) => {
+      const commands = { setup: 'deno install', test: 'deno test', lint: 'deno lint', format: 'deno fmt' };
+
+      // deno.json tasks win over the built-in subcommands
+      for (const [key, candidates] of Object.entries(STACKS.deno.commands)) {
+        const task = findScript(stack.tasks || {}, candidates);
+        if (task) commands[key] = `deno task ${task}`;
+      }
+      commands.dev = commands.dev || framework?.dev || null;
+      commands.build = commands.build || framework?.build || null;
+      return commands;
+    },
+    permissions: () => ['Bash(deno:*)'],
+  },
+  kmp: {
+    parse: (projectPath, { file, record }) => {
+      if (!isKotlinMultiplatform(projectPath)) return null;
+      const wrapper = existsSync(join(projectPath, 'gradlew'));
+      record('packageManager', 'gradle', 'high', wrapper ? 'gradlew' : file);
+      return {
+        packageManager: { name: 'gradle', run: wrapper ? './gradlew' : 'gradle' },
+        framework: detectFrameworkFromManifests(projectPath, 'kmp', record),
+        tools: detectConfiguredTools(projectPath, 'kmp', record),
+      };
+    },
+    generateCommands: (stack, { packageManager: pm }) => {
+      const run = pm?.run || './gradlew';
+      const { linter, formatter } = stack.tools || {};
+      const tools = STACKS.kmp.tools;
+      return {
+        setup: `${run} ${STACKS.kmp.commands.setup}`,
+        test: `${run} ${STACKS.kmp.commands.test}`,
+        build: `${run} ${STACKS.kmp.commands.build}`,
+        lint: linter ? `${run} ${tools[linter].lint}` : null,
+        format: formatter ? `${run} ${tools[formatter].format}` : null,
+      };
+    },
+    permissions: ({ packageManager }) => [`Bash(${packageManager?.run || './gradlew'}:*)`],
+  },
+  scala: {
+    parse: (projectPath, { record }) => ({
+      packageManager: detectBuildTool(projectPath, 'scala', record),
+      framework: detectFrameworkFromManifests(projectPath, 'scala', record),
+      tools: detectConfiguredTools(projectPath, 'scala', record),
+    }),
+    generateCommands: (stack, { packageManager: pm, framework }) => {
+      const tool = pm?.name || 'sbt';
+      const { commands, tools, packageManagers } = STACKS.scala;
+      const { linter, formatter } = stack.tools || {};
+      return {
+        setup: packageManagers[tool].install,
+        dev: framework?.dev?.[tool] || commands.dev[tool],
+        test: commands.test[tool],
+        build: commands.build[tool],
+        lint: linter ? tools[linter].lint[tool] : null,
+        format: formatter ? tools[formatter].format[tool] : null,
+      };
+    },
+    permissions: ({ packageManager }) => [`Bash(${packageManager?.name || 'sbt'}:*)`],
+  },
+  cpp: {
+    parse: (projectPath, { record }) => ({
+      packageManager: detectBuildTool(projectPath, 'cpp', record),
+      tools: detectConfiguredTools(projectPath, 'cpp', record),
+    }),
+    generateCommands: (stack, { packageManager }) => {
+      const pm = packageManager || STACKS.cpp.packageManagers.cmake;
+      const { linter, formatter } = stack.tools || {};
+      const tools = STACKS.cpp.tools;
+      return {
+        setup: pm.install,
+        test: pm.test,
+        build: pm.build,
+        lint: linter ? tools[linter].lint : null,
+        format: formatter ? tools[formatter].format : null,
+      };
+    },
+    permissions: ({ packageManager, tools }) => [
+      ...(packageManager?.name === 'meson' ? ['Bash(meson:*)'] : ['Bash(cmake:*)', 'Bash(ctest:*)']),
+      ...(tools?.linter ? ['Bash(run-clang-tidy:*)', 'Bash(clang-tidy:*)'] : []),
+      ...(tools?.formatter ? ['Bash(clang-format:*)'] : []),
+    ],
+  },
+  zig: {
+    permissions: () => ['Bash(zig:*)'],
+  },
+  haskell: {
+    parse: (projectPath, { record }) => ({
+      packageManager: detectBuildTool(projectPath, 'haskell', record),
+      framework: detectFrameworkFromManifests(projectPath, 'haskell', record),
+      tools: detectConfiguredTools(projectPath, 'haskell', record),
+    }),
+    generateCommands: (stack, { packageManager: pm }) => {
+      const run = pm?.run || 'cabal';
+      const { commands, tools, packageManagers } = STACKS.haskell;
+      const { linter, formatter } = stack.tools || {};
+      return {
+        setup: pm?.install || packageManagers.cabal.install,
+        dev: `${run} ${commands.dev}`,
+        test: `${run} ${commands.test}`,
+        build: `${run} ${commands.build}`,
+        lint: linter ? tools[linter].lint : null,
+        format: formatter ? tools[formatter].format : null,
+      };
+    },
+    permissions: ({ packageManager, tools }) => [
+      `Bash(${packageManager?.run || 'cabal'}:*)`,
+      ...[tools?.linter, tools?.formatter].filter(Boolean).map(tool => `Bash(${tool}:*)`),
+    ],
+  },
+};
+
+const MONOREPO_HOOKS = {
+  yarnWorkspaces: {
+    // package.json only counts when it declares workspaces
+    parse: (projectPath, { record }) => {
+      if (!safeParseJSON(join(projectPath, 'package.json'))?.workspaces) return null;
+      record('monorepo', 'yarnWorkspaces', 'high', 'package.json "workspaces"');
+      return {};
+    },
+  },
+};
+
+for (const [id, stack] of Object.entries(STACKS)) {
+  registerDetector({ type: 'stack', id, ...stack, ...STACK_HOOKS[id] }, { builtin: true });
+}
+for (const [id, tool] of Object.entries(MONOREPO_TOOLS)) {
+  registerDetector({ type: 'monorepo', id, ...tool, ...MONOREPO_HOOKS[id] }, { builtin: true });
+}
+for (const [id, platform] of Object.entries(CI_PLATFORMS)) {
+  registerDetector({ type: 'ci', id, ...platform }, { builtin: true });
 }
 
-export default { detectStack, generateCommands, analyzeWithClaude };
+export default { detectStack, describeEvidence, generateCommands, getStackPermissions, generatePackageCommands, applyCommandOverrides, compareWithCI, analyzeWithClaude, restoreAnalysis, reconcileDetection };
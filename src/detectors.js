@@ -0,0 +1,143 @@
+/**
+ * Detector registry
+ * Built-in stacks, monorepo tools and CI platforms are registered by src/detector.js.
+ * Plugins listed under "detectors" in clauderc.config.json (project) or
+ * ~/.claude/clauderc.config.json (user) are loaded on top of them.
+ *
+ * A detector is a plain object:
+ *   type              'stack', 'monorepo' or 'ci'
+ *   id                Unique per type; a plugin with a built-in id replaces the built-in
+ *   detect            File name or list of file names marking a match ('*.csproj' matches by suffix)
+ *   parse             Optional (projectPath, { file, record }) => fields to add to the result,
+ *                     or null to reject the match. record(field, value, confidence, ...sources)
+ *                     adds detection evidence.
+ *   generateCommands  Stacks only, optional (stack, detection) => { setup, test, lint, ... }.
+ *                     Without it, string values of `commands` are used as they are.
+ *   permissions       Stacks only, optional (stack) => ['Bash(tool:*)', ...] for .claude/settings.json
+ * Any other fields (name, commands, filter, files, steps, ...) are copied onto the result,
+ * like the entries of STACKS, MONOREPO_TOOLS and CI_PLATFORMS.
+ */
+
+import { dirname, resolve } from 'path';
+import { pathToFileURL } from 'url';
+import { loadProjectConfig, loadUserConfig, USER_CONFIG_FILE } from './config.js';
+
+export const DETECTOR_TYPES = ['stack', 'monorepo', 'ci'];
+
+const HOOKS = ['parse', 'generateCommands', 'permissions'];
+
+const detectors = [];
+
+/**
+ * Add a detector to the registry
+ * Plugins are checked before built-ins, so they win when both match
+ * @param {Object} detector - See the module comment
+ * @param {Object} options - { builtin: true } appends instead of taking precedence
+ * @returns {Function} - Removes the detector again, restoring any built-in it replaced
+ */
+export function registerDetector(detector, options = {}) {
+  const { builtin = false, source = 'detector' } = options;
+  if (!detector || typeof detector.id !== 'string' || !detector.id) {
+    throw new Error(`${source}: every detector needs a string "id"`);
+  }
+  if (!DETECTOR_TYPES.includes(detector.type)) {
+    throw new Error(`${source}: detector "${detector.id}" must have a "type" of ${DETECTOR_TYPES.join(', ')}`);
+  }
+  const files = [].concat(detector.detect ?? []);
+  if (files.length === 0 || files.some(file => typeof file !== 'string')) {
+    throw new Error(`${source}: detector "${detector.id}" must list the files it looks for in "detect"`);
+  }
+  for (const hook of HOOKS) {
+    if (detector[hook] !== undefined && typeof detector[hook] !== 'function') {
+      throw new Error(`${source}: "${hook}" of detector "${detector.id}" must be a function`);
+    }
+  }
+
+  const index = detectors.findIndex(d => d.type === detector.type && d.id === detector.id);
+  const previous = index >= 0 ? detectors[index] : null;
+  if (previous) {
+    detectors[index] = detector;
+  } else if (builtin) {
+    detectors.push(detector);
+  } else {
+    detectors.unshift(detector);
+  }
+
+  return () => {
+    const current = detectors.indexOf(detector);
+    if (current < 0) return;
+    if (previous) {
+      detectors[current] = previous;
+    } else {
+      detectors.splice(current, 1);
+    }
+  };
+}
+
+/**
+ * Registered detectors of a type, in the order they are checked
+ */
+export function getDetectors(type) {
+  return detectors.filter(d => d.type === type);
+}
+
+export function getDetector(type, id) {
+  return detectors.find(d => d.type === type && d.id === id) || null;
+}
+
+/**
+ * Import detector plugins and register what they export
+ * A plugin is an ES module whose default export is a detector or an array of detectors;
+ * it is imported as such only when named .mjs or inside a package with "type": "module"
+ * @param {string[]} paths - Module paths
+ * @param {string} baseDir - Directory relative paths are resolved from
+ * @returns {Promise<string[]>} - Ids of the registered detectors
+ */
+export async function loadDetectorPlugins(paths, baseDir) {
+  const loaded = [];
+  for (const path of paths) {
+    let module;
+    try {
+      module = await import(pathToFileURL(resolve(baseDir, path)).href);
+    } catch (error) {
+      const hint = error instanceof SyntaxError && path.endsWith('.js')
+        ? ' (plugins are ES modules: name it .mjs or add "type": "module" to the nearest package.json)'
+        : '';
+      throw new Error(`Could not load detector plugin ${path}: ${error.message}${hint}`);
+    }
+
+    const exported = [].concat(module.default ?? []);
+    if (exported.length === 0) {
+      throw new Error(`Detector plugin ${path} has no default export`);
+    }
+    for (const detector of exported) {
+      registerDetector(detector, { source: path });
+      loaded.push(detector.id);
+    }
+  }
+  return loaded;
+}
+
+/**
+ * Load the detector plugins listed in the user config, then the project config
+ * Project plugins run code from the repository, so they are only imported when trusted
+ * @param {string} projectPath - Path to the project
+ * @param {Object|null} projectConfig - Already loaded clauderc.config.json, if any
+ * @param {Object} options - { trustProject: true } imports the project config's plugins
+ * @returns {Promise<{ loaded: string[], skipped: string[] }>} - Ids of the registered detectors
+ *   and paths of the project plugins that were not imported
+ */
+export async function loadConfiguredDetectors(projectPath, projectConfig = loadProjectConfig(projectPath), options = {}) {
+  const { trustProject = false } = options;
+  const userConfig = loadUserConfig();
+  const projectPlugins = projectConfig?.detectors || [];
+  return {
+    loaded: [
+      ...await loadDetectorPlugins(userConfig?.detectors || [], dirname(USER_CONFIG_FILE)),
+      ...(trustProject ? await loadDetectorPlugins(projectPlugins, projectPath) : []),
+    ],
+    skipped: trustProject ? [] : projectPlugins,
+  };
+}
+
+export default { registerDetector, getDetectors, getDetector, loadDetectorPlugins, loadConfiguredDetectors, DETECTOR_TYPES };
@@ -0,0 +1,112 @@
+/**
+ * Line-based three-way merge for global templates
+ */
+
+/**
+ * Map each line of `base` to its match in `other` using the longest common subsequence
+ * @param {string[]} base - Lines of the common ancestor
+ * @param {string[]} other - Lines of the changed version
+ * @returns {Array<number|undefined>} - Index in `other` for every matched base line
+ */
+function matchLines(base, other) {
+  const n = base.length;
+  const m = other.length;
+  const lengths = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lengths[i][j] = base[i] === other[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const matches = new Array(n);
+  let i = 0, j = 0;
+  while (i < n && j < m) {
+    if (base[i] === other[j]) {
+      matches[i] = j;
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+  return matches;
+}
+
+/**
+ * Lines of a file without the empty entry a final newline leaves; the final newline is
+ * merged separately so it never works as a sync line between additions at the end of file
+ */
+function splitLines(text) {
+  if (text === '') return [];
+  return (text.endsWith('\n') ? text.slice(0, -1) : text).split('\n');
+}
+
+function sameLines(a, b) {
+  return a.length === b.length && a.every((line, i) => line === b[i]);
+}
+
+/**
+ * Merge two descendants of a common base
+ * @param {string} base - Content of the last installed template
+ * @param {string} ours - Content of the user's file
+ * @param {string} theirs - Content of the new template
+ * @param {Object} labels - Conflict marker labels ({ ours, theirs })
+ * @returns {{ content: string, conflicts: number }}
+ */
+export function mergeThreeWay(base, ours, theirs, labels = {}) {
+  const { ours: oursLabel = 'yours', theirs: theirsLabel = 'template' } = labels;
+  const baseLines = splitLines(base);
+  const oursLines = splitLines(ours);
+  const theirsLines = splitLines(theirs);
+
+  const oursMatches = matchLines(baseLines, oursLines);
+  const theirsMatches = matchLines(baseLines, theirsLines);
+
+  const output = [];
+  let conflicts = 0;
+  let i = 0, j = 0, k = 0;
+
+  while (true) {
+    // Next base line kept unchanged by both sides
+    let sync = i;
+    while (sync < baseLines.length && (oursMatches[sync] === undefined || theirsMatches[sync] === undefined)) {
+      sync++;
+    }
+
+    const atEnd = sync >= baseLines.length;
+    const oursEnd = atEnd ? oursLines.length : oursMatches[sync];
+    const theirsEnd = atEnd ? theirsLines.length : theirsMatches[sync];
+
+    const baseChunk = baseLines.slice(i, sync);
+    const oursChunk = oursLines.slice(j, oursEnd);
+    const theirsChunk = theirsLines.slice(k, theirsEnd);
+
+    if (sameLines(baseChunk, oursChunk)) {
+      output.push(...theirsChunk);
+    } else if (sameLines(baseChunk, theirsChunk) || sameLines(oursChunk, theirsChunk)) {
+      output.push(...oursChunk);
+    } else {
+      conflicts++;
+      output.push(`<<<<<<< ${oursLabel}`, ...oursChunk, '=======', ...theirsChunk, `>>>>>>> ${theirsLabel}`);
+    }
+
+    if (atEnd) break;
+
+    output.push(baseLines[sync]);
+    i = sync + 1;
+    j = oursEnd + 1;
+    k = theirsEnd + 1;
+  }
+
+  // Same rule for the final newline: a change on one side wins
+  const [baseNewline, oursNewline, theirsNewline] = [base, ours, theirs].map(text => text.endsWith('\n'));
+  const finalNewline = oursNewline === baseNewline ? theirsNewline : oursNewline;
+  return { content: output.join('\n') + (finalNewline && output.length > 0 ? '\n' : ''), conflicts };
+}
+
+export default { mergeThreeWay };
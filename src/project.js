@@ -5,18 +5,22 @@
 import { existsSync, mkdirSync, writeFileSync, readFileSync } from 'fs';
 import { join, basename } from 'path';
 import { createInterface } from 'readline';
-import { execSync } from 'child_process';
-import { detectStack, generateCommands, analyzeWithClaude } from './detector.js';
+import { detectStack, describeEvidence, formatRuntimes, generateCommands, generatePackageCommands, buildAnalysisPrompt, analyzeWithClaude, restoreAnalysis, reconcileDetection, applyCommandOverrides, validateCommandOverrides, compareWithCI } from './detector.js';
 import { getProviderChoices, resolveProviders } from './providers/index.js';
+import { loadProjectConfig, loadUserConfig, saveProjectConfig, providersToChoice, validateDisabledCommands, PROJECT_CONFIG_FILE } from './config.js';
+import { loadConfiguredDetectors } from './detectors.js';
+import { resolveBackend } from './backends/index.js';
+import { ANALYSIS_CACHE_FILE } from './cache.js';
 
 /**
- * Use Claude CLI to intelligently merge existing and new content
+ * Use an LLM to intelligently merge existing and new content
  * @param {string} existingContent - The current file content
  * @param {string} newContent - The proposed new content
  * @param {string} fileType - Type of file for context (e.g., 'CLAUDE.md', 'settings.json')
- * @returns {string} - The merged content
+ * @param {Object} backend - Resolved AI backend (see src/backends/index.js)
+ * @returns {Promise<string>} - The merged content
  */
-function mergeWithClaude(existingContent, newContent, fileType) {
+async function mergeWithClaude(existingContent, newContent, fileType, backend) {
   const prompt = `You are merging two versions of a ${fileType} configuration file.
 
 EXISTING content (user's current configuration - PRESERVE user preferences and customizations):
@@ -40,11 +44,7 @@ IMPORTANT RULES:
 Output the merged ${fileType}:`;
 
   try {
-    // Use stdin to avoid shell escaping issues with large prompts
-    const result = execSync('claude -p --model haiku', {
-      input: prompt,
-      encoding: 'utf-8',
-      maxBuffer: 1024 * 1024 * 10, // 10MB buffer
+    const result = await backend.complete(prompt, {
       timeout: 60000, // 60 second timeout
     });
 
@@ -52,14 +52,14 @@ Output the merged ${fileType}:`;
 
     // Validate the response is not an error message
     if (trimmed.includes('Error:') || trimmed.includes('error:') || trimmed.length < 100) {
-      console.warn('  ⚠ Claude merge returned invalid response, using new content');
+      console.warn(`  ⚠ ${backend.name} merge returned invalid response, using new content`);
       return newContent;
     }
 
     return trimmed;
   } catch (error) {
-    // If Claude CLI fails, return new content with a warning
-    console.warn('  ⚠ Could not use Claude for merge (CLI not available), using new content');
+    // If the backend fails, return new content with a warning
+    console.warn(`  ⚠ Could not use ${backend.name} for merge, using new content`);
     console.warn(`  ⚠ Error: ${error.message}`);
     return newContent;
   }
@@ -70,12 +70,12 @@ Output the merged ${fileType}:`;
  * @param {string} filePath - Path to the file
  * @param {string} newContent - New content to write
  * @param {string} fileType - Type of file for merge context
- * @param {boolean} useMerge - Whether to use Claude merge
+ * @param {Object|null} backend - AI backend to merge with, or null to overwrite
  */
-function smartWrite(filePath, newContent, fileType, useMerge = true) {
-  if (useMerge && existsSync(filePath)) {
+async function smartWrite(filePath, newContent, fileType, backend = null) {
+  if (backend && existsSync(filePath)) {
     const existingContent = readFileSync(filePath, 'utf-8');
-    const mergedContent = mergeWithClaude(existingContent, newContent, fileType);
+    const mergedContent = await mergeWithClaude(existingContent, newContent, fileType, backend);
     writeFileSync(filePath, mergedContent);
     return { merged: true, path: filePath };
   }
@@ -85,11 +85,12 @@ function smartWrite(filePath, newContent, fileType, useMerge = true) {
 
 /**
  * Interactive prompt helper
+ * @param {NodeJS.WritableStream} output - Where questions are written (stderr keeps stdout clean for --json)
  */
-function createPrompt() {
+function createPrompt(output = process.stdout) {
   const rl = createInterface({
     input: process.stdin,
-    output: process.stdout,
+    output,
   });
 
   return {
@@ -97,9 +98,9 @@ function createPrompt() {
       rl.question(question, (answer) => resolve(answer.trim()));
     }),
     select: async (question, options) => {
-      console.log(`\n${question}\n`);
+      output.write(`\n${question}\n\n`);
       options.forEach((opt, i) => {
-        console.log(`  ${i + 1}) ${opt.label}${opt.description ? ` - ${opt.description}` : ''}`);
+        output.write(`  ${i + 1}) ${opt.label}${opt.description ? ` - ${opt.description}` : ''}\n`);
       });
       const answer = await new Promise((resolve) => {
         rl.question('\n  Enter number: ', resolve);
@@ -117,21 +118,156 @@ function createPrompt() {
   };
 }
 
+const MERGE_STRATEGIES = ['merge', 'overwrite', 'skip'];
+
+/**
+ * Load wizard answers from a JSON file
+ * @param {string} answersPath - Path to the answers file
+ * @returns {Object} - { provider, ai, confirm, rules, mergeStrategy, commands, primaryStack }
+ */
+export function loadAnswers(answersPath) {
+  let answers;
+  try {
+    answers = JSON.parse(readFileSync(answersPath, 'utf-8'));
+  } catch (error) {
+    throw new Error(`Could not read answers file ${answersPath}: ${error.message}`);
+  }
+  if (answers.mergeStrategy && !MERGE_STRATEGIES.includes(answers.mergeStrategy)) {
+    throw new Error(`Invalid mergeStrategy "${answers.mergeStrategy}" in ${answersPath}. Valid options: ${MERGE_STRATEGIES.join(', ')}`);
+  }
+  if (answers.rules && !Array.isArray(answers.rules)) {
+    throw new Error(`"rules" in ${answersPath} must be an array of strings`);
+  }
+  if (answers.disabledCommands) {
+    if (!Array.isArray(answers.disabledCommands)) {
+      throw new Error(`"disabledCommands" in ${answersPath} must be an array of command names`);
+    }
+    validateDisabledCommands(answers.disabledCommands, answersPath);
+  }
+  return answers;
+}
+
+/**
+ * File lists and redaction patterns for the analysis prompt; user and project config add up
+ */
+function analysisOptions(projectConfig, userConfig) {
+  const combine = (key) => [...(userConfig?.[key] || []), ...(projectConfig?.[key] || [])];
+  return { allow: combine('aiAllowFiles'), deny: combine('aiDenyFiles'), redact: combine('aiRedact') };
+}
+
+/**
+ * Build the analysis prompt exactly as it would be sent, without sending it
+ * @param {string} projectPath - Path to the project
+ * @returns {Object|null} - Result of buildAnalysisPrompt
+ */
+export function previewAnalysisPrompt(projectPath = process.cwd()) {
+  return buildAnalysisPrompt(projectPath, analysisOptions(loadProjectConfig(projectPath), loadUserConfig()));
+}
+
+/**
+ * One line per file listing what was redacted, e.g. "package.json: URL credentials, 2 secret values"
+ */
+export function describeRedactions(redactions) {
+  const byFile = new Map();
+  for (const { file, type, count } of redactions) {
+    byFile.set(file, [...(byFile.get(file) || []), count > 1 ? `${count} × ${type}` : type]);
+  }
+  return [...byFile].map(([file, types]) => `${file}: ${types.join(', ')}`);
+}
+
+/**
+ * Print the fields where detection and AI analysis disagree, side by side
+ * @param {Function} log - Output function of the wizard
+ * @param {Array} conflicts - Conflicting fields from reconcileDetection
+ * @param {Object} backend - AI backend that produced the analysis
+ */
+function showConflicts(log, conflicts, backend) {
+  const detectedLabel = (conflict) => conflict.confidence ? `${conflict.detected} (${conflict.confidence})` : conflict.detected;
+  const widths = [
+    Math.max(5, ...conflicts.map(c => c.label.length)),
+    Math.max(8, ...conflicts.map(c => detectedLabel(c).length)),
+    Math.max(backend.name.length, ...conflicts.map(c => c.ai.length)),
+  ];
+  const row = (cells) => `    ${cells.map((cell, i) => cell.padEnd(widths[i] ?? 0)).join('  ')}`.trimEnd();
+
+  log(`  Detection and ${backend.name} disagree:\n`);
+  log(row(['Field', 'Detected', backend.name, 'Default']));
+  for (const conflict of conflicts) {
+    log(row([conflict.label, detectedLabel(conflict), conflict.ai, conflict.choice === 'ai' ? backend.name : 'detected']));
+  }
+  log('');
+}
+
+/**
+ * Use a pre-supplied answer, or prompt when running interactively
+ * @param {*} value - Answer from flags or answers file (null/undefined if not given)
+ * @param {string} flag - Flag that supplies this answer, for the error message
+ * @param {Function} ask - Prompt to run when no answer was given
+ */
+async function answerOrAsk(value, flag, ask) {
+  if (value !== undefined && value !== null) return value;
+  if (!process.stdin.isTTY) {
+    throw new Error(`Cannot prompt: stdin is not a TTY. Pass ${flag}, --yes or --answers <file> to run non-interactively.`);
+  }
+  return ask();
+}
+
 /**
  * Run project setup wizard
  */
 export async function runProjectWizard(options = {}) {
-  const { dryRun = false, silent = false, provider = null } = options;
+  const { dryRun = false, silent = false, fromConfig = false, explain = false, refresh = false } = options;
   const projectPath = process.cwd();
   const projectName = basename(projectPath);
 
+  const projectConfig = loadProjectConfig(projectPath);
+  if (fromConfig && !projectConfig) {
+    throw new Error(`${PROJECT_CONFIG_FILE} not found. Run \`clauderc project\` first to create it.`);
+  }
+
+  // Regenerating from the saved config never prompts and replaces generated files
+  const yes = options.yes || fromConfig;
+  const saved = projectConfig || {};
+
+  // Flags take precedence over the answers file, then the saved project config;
+  // --yes falls back to each prompt's default
+  const answers = options.answers ? loadAnswers(options.answers) : {};
+  const provider = options.provider ?? answers.provider ?? providersToChoice(saved.providers) ?? (yes ? 'claude' : null);
+  const ai = options.ai ?? answers.ai ?? saved.ai ?? (yes ? true : null);
+  const proceed = answers.confirm ?? (yes ? true : null);
+  const rules = options.rules?.length ? options.rules : (answers.rules ?? saved.rules ?? (yes ? [] : null));
+  const mergeStrategy = fromConfig ? 'overwrite' : (options.mergeStrategy ?? answers.mergeStrategy ?? (yes ? 'merge' : null));
+  const commandOverrides = { ...saved.commands, ...answers.commands, ...options.commands };
+  const primaryStack = options.primaryStack ?? answers.primaryStack ?? saved.primaryStack ?? null;
+  const disabledCommands = options.disabledCommands?.length ? options.disabledCommands : (answers.disabledCommands ?? saved.disabledCommands ?? []);
+  validateCommandOverrides(commandOverrides);
+  // Backend settings may also live in the user config, e.g. for machines without the Claude CLI
+  const userConfig = loadUserConfig() || {};
+  const backend = resolveBackend({
+    backend: options.aiBackend ?? saved.aiBackend ?? userConfig.aiBackend,
+    model: options.aiModel ?? saved.aiModel ?? userConfig.aiModel,
+    url: options.aiUrl ?? saved.aiUrl ?? userConfig.aiUrl,
+  });
+  const plugins = await loadConfiguredDetectors(projectPath, projectConfig, { trustProject: options.trustPlugins });
+
   const log = silent ? () => {} : console.log;
-  const prompt = createPrompt();
+  const prompt = createPrompt(silent ? process.stderr : process.stdout);
 
   try {
     log('\n  AI Coding Assistant Project Setup\n');
     log('  This wizard will configure your project for AI coding tools.\n');
 
+    if (projectConfig) {
+      log(`  Using saved choices from ${PROJECT_CONFIG_FILE}\n`);
+    }
+    if (plugins.loaded.length > 0) {
+      log(`  Detector plugins: ${plugins.loaded.join(', ')}\n`);
+    }
+    if (plugins.skipped.length > 0) {
+      log(`  ⚠ Skipped detector plugins from ${PROJECT_CONFIG_FILE}: ${plugins.skipped.join(', ')}`);
+      log('    They run code from this repository; pass --trust-plugins to load them.\n');
+    }
+
     // Provider selection - first step (skip if --provider flag was passed)
     let providers;
     if (provider) {
@@ -139,74 +275,183 @@ export async function runProjectWizard(options = {}) {
       const providerLabel = providers.map(p => p.name).join(' + ');
       log(`  Provider: ${providerLabel}\n`);
     } else {
-      const providerChoice = await prompt.select('  Which AI coding tool(s) do you use?', getProviderChoices());
+      const providerChoice = await answerOrAsk(null, '--provider <id>',
+        () => prompt.select('  Which AI coding tool(s) do you use?', getProviderChoices()));
       providers = resolveProviders(providerChoice.id);
     }
 
     // Ask about AI analysis
-    const useAI = await prompt.confirm('  Use Claude AI for smarter detection? (recommended)');
-
-    let stack;
-    let commands;
-    let aiAnalysis = null;
+    const useAI = await answerOrAsk(ai, '--no-ai',
+      () => prompt.confirm(`  Use AI (${backend.name}) for smarter detection? (recommended)`));
+
+    // Regenerating reuses the analysis stored in the config, so the files only change when asked to
+    const reuseAnalysis = useAI && fromConfig && !refresh;
+    log(useAI && !reuseAnalysis ? `\n  Analyzing project with ${backend.name} (${backend.model})...\n` : '\n  Analyzing project...\n');
+    const detection = detectStack(projectPath, { primaryStack });
+    let stack = detection;
+    let commands = generateCommands(detection);
+    let reconciliation = null;
+    let storedAnalysis = null;
 
     if (useAI) {
-      log('\n  Analyzing project with Claude AI...\n');
-      aiAnalysis = analyzeWithClaude(projectPath);
+      let aiAnalysis;
+      let choices = {};
+      if (reuseAnalysis) {
+        aiAnalysis = saved.analysis ? restoreAnalysis(saved.analysis, backend) : null;
+        choices = saved.analysis?.choices || {};
+        log(aiAnalysis
+          ? `  Using the analysis stored in ${PROJECT_CONFIG_FILE}${aiAnalysis.cachedAt ? ` on ${aiAnalysis.cachedAt.slice(0, 10)}` : ''} (--refresh to analyze again)\n`
+          : `  No usable analysis stored in ${PROJECT_CONFIG_FILE}, using deterministic detection only (--refresh to analyze again)\n`);
+      } else {
+        const request = buildAnalysisPrompt(projectPath, analysisOptions(projectConfig, userConfig));
+        if (request?.redactions.length > 0) {
+          log('  Redacted from the analysis prompt:');
+          describeRedactions(request.redactions).forEach(line => log(`    ${line}`));
+          log('');
+        }
+        aiAnalysis = await analyzeWithClaude(projectPath, backend, request, { cacheFile: ANALYSIS_CACHE_FILE, refresh });
+        if (aiAnalysis?.cachedAt) {
+          log(`  Using the analysis cached on ${aiAnalysis.cachedAt.slice(0, 10)}, project files are unchanged (--refresh to analyze again)\n`);
+        }
+      }
 
       if (aiAnalysis) {
-        stack = aiAnalysis.stack;
-        commands = aiAnalysis.commands;
-
         if (aiAnalysis.preferences?.notes) {
           log(`  Notes: ${aiAnalysis.preferences.notes}\n`);
         }
-      } else {
-        log('  AI analysis failed, falling back to deterministic detection...\n');
-        stack = detectStack(projectPath);
-        commands = generateCommands(stack);
+
+        // Keep what detection can back with evidence, take the rest from AI and let the user settle disagreements;
+        // a stored analysis comes with the choices made when it was stored
+        const conflicts = reuseAnalysis ? [] : reconcileDetection(detection, commands, aiAnalysis).fields.filter(f => f.conflict);
+        if (conflicts.length > 0) {
+          showConflicts(log, conflicts, backend);
+          choices = await answerOrAsk(proceed !== null ? {} : null, '--yes', async () => {
+            const picked = {};
+            for (const conflict of conflicts) {
+              const options = [
+                { label: `${conflict.detected} (detected${conflict.confidence ? `, ${conflict.confidence} confidence` : ''})`, value: 'detected' },
+                { label: `${conflict.ai} (${backend.name})`, value: 'ai' },
+              ];
+              if (conflict.choice === 'ai') options.reverse();
+              picked[conflict.field] = (await prompt.select(`  ${conflict.label}:`, options)).value;
+            }
+            return picked;
+          });
+        }
+        const reconciled = reconcileDetection(detection, commands, aiAnalysis, choices);
+        stack = reconciled.stack;
+        commands = reconciled.commands;
+        reconciliation = reconciled.fields;
+        storedAnalysis = {
+          backend: backend.id,
+          model: backend.model,
+          createdAt: aiAnalysis.cachedAt || new Date().toISOString(),
+          result: aiAnalysis.analysis,
+          choices,
+        };
+      } else if (!reuseAnalysis) {
+        log('  AI analysis failed, using deterministic detection only...\n');
       }
-    } else {
-      log('\n  Analyzing project...\n');
-      stack = detectStack(projectPath);
-      commands = generateCommands(stack);
     }
 
-    // Show detection results
+    commands = applyCommandOverrides(commands, commandOverrides);
+
+    if (primaryStack && detection.primaryStack !== primaryStack) {
+      log(`  ⚠ Primary stack "${primaryStack}" was not detected, using ${detection.primaryStack || 'none'}\n`);
+    }
+
+    // Monorepo packages always come from deterministic detection
+    const packages = (detection.packages || []).map(pkg => ({
+      name: pkg.name,
+      path: pkg.path,
+      stack: pkg.detection,
+      commands: generatePackageCommands(pkg, detection),
+    }));
+
+    // Show detection results; --explain adds where each value came from
+    const showEvidence = (field, prefix = '') => {
+      if (!explain) return;
+      log(`      ↳ ${prefix}${stack.evidence[field] ? describeEvidence(stack.evidence[field]) : 'no evidence recorded'}`);
+    };
+
     log('  Detected configuration:\n');
 
-    if (stack.stacks.length > 0) {
+    if (stack.stacks.length > 1) {
+      log(`    Language:        ${stack.stacks.map((s, i) => i === 0 ? `${s.name} (primary)` : s.name).join(', ')}`);
+    } else if (stack.stacks.length > 0) {
       log(`    Language:        ${stack.stacks.map(s => s.name).join(', ')}`);
     } else {
       log('    Language:        Not detected');
     }
+    stack.stacks.forEach(s => showEvidence(`stacks.${s.id}`, stack.stacks.length > 1 ? `${s.name}: ` : ''));
+
+    if (stack.runtimes.length > 0) {
+      log(`    Runtime:         ${formatRuntimes(stack.runtimes)}`);
+      stack.runtimes.forEach(r => showEvidence(`runtimes.${r.id}`, stack.runtimes.length > 1 ? `${r.name}: ` : ''));
+    }
 
     if (stack.framework) {
       log(`    Framework:       ${stack.framework.name}`);
+      showEvidence('framework');
     }
 
     if (stack.packageManager) {
       log(`    Package Manager: ${stack.packageManager.name}`);
+      showEvidence('packageManager');
     }
 
     if (stack.monorepo) {
       log(`    Monorepo:        ${stack.monorepo.name}`);
+      showEvidence('monorepo');
     }
 
     if (stack.ci) {
       log(`    CI/CD:           ${stack.ci.name}`);
+      showEvidence('ci');
+    }
+
+    if (stack.taskRunner) {
+      log(`    Task Runner:     ${stack.taskRunner.run} (${stack.taskRunner.file})`);
+      showEvidence('taskRunner');
+    }
+
+    if (explain) {
+      for (const [field, label] of [['testFramework', 'Tests:'], ['linter', 'Linter:'], ['formatter', 'Formatter:'], ['typechecker', 'Type Checker:']]) {
+        if (!stack[field]) continue;
+        log(`    ${label.padEnd(17)}${stack[field]}`);
+        showEvidence(field);
+      }
+    }
+
+    if (packages.length > 0) {
+      log(`    Packages:        ${packages.length}`);
+      for (const pkg of packages) {
+        log(`      ${pkg.name} (${pkg.path})`);
+      }
     }
 
     log('\n  Generated commands:\n');
-    if (commands.setup) log(`    Setup:    ${commands.setup}`);
-    if (commands.dev) log(`    Dev:      ${commands.dev}`);
-    if (commands.test) log(`    Test:     ${commands.test}`);
-    if (commands.lint) log(`    Lint:     ${commands.lint}`);
-    if (commands.build) log(`    Build:    ${commands.build}`);
+    const overridden = (key) => key in commandOverrides ? ' (override)' : '';
+    if (commands.setup) log(`    Setup:    ${commands.setup}${overridden('setup')}`);
+    if (commands.dev) log(`    Dev:      ${commands.dev}${overridden('dev')}`);
+    if (commands.test) log(`    Test:     ${commands.test}${overridden('test')}`);
+    if (commands.lint) log(`    Lint:     ${commands.lint}${overridden('lint')}`);
+    if (commands.build) log(`    Build:    ${commands.build}${overridden('build')}`);
+
+    // CI is the most reliable record of what actually runs; flag disagreements
+    const ciMismatches = compareWithCI(commands, detection.ci).filter(m => !(m.key in commandOverrides));
+    if (ciMismatches.length > 0) {
+      log(`\n  ⚠ CI runs different commands (use --command <key>="<cmd>" to align):\n`);
+      for (const mismatch of ciMismatches) {
+        log(`    ${mismatch.key}: ${mismatch.command}`);
+        log(`      CI: ${mismatch.ci.join(' && ')}`);
+      }
+    }
 
     // Confirm or customize
     log('');
-    const confirmed = await prompt.confirm('  Proceed with this configuration?');
+    const confirmed = await answerOrAsk(proceed, '--yes',
+      () => prompt.confirm('  Proceed with this configuration?'));
 
     if (!confirmed) {
       log('\n  Setup cancelled.\n');
@@ -215,23 +460,41 @@ export async function runProjectWizard(options = {}) {
     }
 
     // Ask for custom rules
-    log('\n  Any project-specific rules? (one per line, empty line to finish)\n');
-    const customRules = [];
-    let rule = await prompt.ask('    Rule: ');
-    while (rule) {
-      customRules.push(rule);
-      rule = await prompt.ask('    Rule: ');
-    }
+    const customRules = await answerOrAsk(rules, '--rule "<text>"', async () => {
+      log('\n  Any project-specific rules? (one per line, empty line to finish)\n');
+      const entered = [];
+      let rule = await prompt.ask('    Rule: ');
+      while (rule) {
+        entered.push(rule);
+        rule = await prompt.ask('    Rule: ');
+      }
+      return entered;
+    });
 
     // Generate config
     const config = {
       projectName,
       projectPath,
+      providers: providers.map(p => p.id),
       stack,
       commands,
+      reconciliation,
+      ciMismatches,
+      packages,
       customRules,
+      commandOverrides,
+      disabledCommands,
+      files: [],
     };
 
+    // Overrides can widen what the assistant may run without asking; say so
+    for (const provider of providers) {
+      const added = provider.getOverridePermissions?.(config) || [];
+      if (added.length > 0) {
+        log(`\n  ${provider.name} permissions added for overridden commands: ${added.join(', ')}`);
+      }
+    }
+
     // Check existing provider artifacts
     let hasExisting = false;
     for (const provider of providers) {
@@ -246,23 +509,26 @@ export async function runProjectWizard(options = {}) {
 
     if (hasExisting) {
       log('\n  Existing configuration detected.\n');
-      const mergeChoice = await prompt.select('  How would you like to proceed?', [
-        { label: 'Merge', description: 'Use Claude CLI to intelligently merge with existing config (recommended)' },
-        { label: 'Overwrite', description: 'Replace all existing configuration' },
-        { label: 'Cancel', description: 'Keep existing configuration unchanged' },
-      ]);
+      const mergeChoice = await answerOrAsk(mergeStrategy, '--merge-strategy <merge|overwrite|skip>', async () => {
+        const choice = await prompt.select('  How would you like to proceed?', [
+          { label: 'Merge', value: 'merge', description: `Use ${backend.name} to intelligently merge with existing config (recommended)` },
+          { label: 'Overwrite', value: 'overwrite', description: 'Replace all existing configuration' },
+          { label: 'Cancel', value: 'skip', description: 'Keep existing configuration unchanged' },
+        ]);
+        return choice.value;
+      });
 
-      if (mergeChoice.label === 'Cancel') {
+      if (mergeChoice === 'skip') {
         log('\n  Setup cancelled.\n');
         prompt.close();
         return null;
       }
 
-      useMerge = mergeChoice.label === 'Merge';
+      useMerge = mergeChoice === 'merge';
 
       if (useMerge) {
-        log('\n  Will use Claude CLI to merge configurations intelligently.');
-        log('  Note: If Claude CLI is not available, new content will be used.\n');
+        log(`\n  Will use ${backend.name} to merge configurations intelligently.`);
+        log(`  Note: If ${backend.name} is not available, new content will be used.\n`);
       }
     }
 
@@ -276,10 +542,15 @@ export async function runProjectWizard(options = {}) {
         const files = provider.generateProjectFiles(config);
         for (const file of files) {
           log(`    ${file.path.replace(projectPath, '.')}`);
+          config.files.push({ path: file.path, type: file.type, provider: provider.id, action: useMerge && existsSync(file.path) ? 'merged' : 'created' });
         }
       }
+      if (!fromConfig) {
+        log(`    ${PROJECT_CONFIG_FILE}`);
+        config.files.push({ path: join(projectPath, PROJECT_CONFIG_FILE), type: PROJECT_CONFIG_FILE, provider: null, action: projectConfig ? 'updated' : 'created' });
+      }
       if (useMerge) {
-        log('\n  Note: Claude will intelligently merge with existing files.\n');
+        log(`\n  Note: ${backend.name} will intelligently merge with existing files.\n`);
       }
       return config;
     }
@@ -293,13 +564,38 @@ export async function runProjectWizard(options = {}) {
 
       const files = provider.generateProjectFiles(config);
       for (const file of files) {
-        const result = smartWrite(file.path, file.content, file.type, useMerge);
+        const result = await smartWrite(file.path, file.content, file.type, useMerge ? backend : null);
         const symbol = result.merged ? '~' : '+';
         const action = result.merged ? 'merged' : 'created';
+        config.files.push({ path: file.path, type: file.type, provider: provider.id, action });
         log(`  ${symbol} ${file.path.replace(projectPath, '.')} (${action})`);
       }
     }
 
+    // Persist choices so teammates can regenerate the same files
+    if (!fromConfig) {
+      const configPath = saveProjectConfig(projectPath, {
+        providers: config.providers,
+        ai: useAI,
+        rules: customRules,
+        commands: Object.keys(commandOverrides).length > 0 ? commandOverrides : undefined,
+        primaryStack: primaryStack || undefined,
+        disabledCommands: disabledCommands.length > 0 ? disabledCommands : undefined,
+        analysis: storedAnalysis || undefined,
+        aiBackend: options.aiBackend || undefined,
+        aiModel: options.aiModel || undefined,
+        aiUrl: options.aiUrl || undefined,
+      });
+      const action = projectConfig ? 'updated' : 'created';
+      config.files.push({ path: configPath, type: PROJECT_CONFIG_FILE, provider: null, action });
+      log(`  ${projectConfig ? '~' : '+'} ./${PROJECT_CONFIG_FILE} (${action})`);
+    } else if (refresh && storedAnalysis) {
+      // A refreshed analysis replaces the stored one so the next regenerate reproduces these files
+      const configPath = saveProjectConfig(projectPath, { analysis: storedAnalysis });
+      config.files.push({ path: configPath, type: PROJECT_CONFIG_FILE, provider: null, action: 'updated' });
+      log(`  ~ ./${PROJECT_CONFIG_FILE} (updated)`);
+    }
+
     log('\n  Project setup complete!\n');
     if (useMerge) {
       log('  Files were merged with existing configuration.');
@@ -313,6 +609,7 @@ export async function runProjectWizard(options = {}) {
       log(`    - Review ${provider.instructionFile} and adjust as needed`);
       log(`    - Commit ${provider.projectDir}/ to your repository`);
     }
+    log(`    - Commit ${PROJECT_CONFIG_FILE} so teammates can run \`clauderc regenerate\``);
     log('');
 
     return config;
@@ -322,4 +619,4 @@ export async function runProjectWizard(options = {}) {
   }
 }
 
-export default { runProjectWizard, detectStack, generateCommands };
+export default { runProjectWizard, loadAnswers, detectStack, generateCommands };
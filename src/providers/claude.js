@@ -5,6 +5,45 @@
 
 import { join } from 'path';
 import { homedir } from 'os';
+import { COMMAND_LABELS, formatLanguages, generateStackSections, stackCommand, generatePackagesSection } from './shared.js';
+import { getStackPermissions, formatRuntimes } from '../detector.js';
+
+/**
+ * Generate the nested CLAUDE.md for a monorepo package
+ */
+export function generatePackageInstructionFile(pkg, config) {
+  const { stack, commands } = pkg;
+
+  let content = `# ${pkg.name}
+
+Package of the ${config.projectName} monorepo at \`${pkg.path}\`. Repository-wide rules are in the root CLAUDE.md.
+
+## Stack
+`;
+
+  if (stack.stacks.length > 0) {
+    content += `- **Language**: ${stack.stacks.map(s => s.name).join(', ')}\n`;
+  }
+  if (stack.framework) {
+    content += `- **Framework**: ${stack.framework.name}\n`;
+  }
+
+  const lines = Object.entries(COMMAND_LABELS)
+    .filter(([key]) => commands[key])
+    .map(([key, label]) => `# ${label}\n${commands[key]}`);
+
+  content += `
+## Commands
+
+Run from the repository root:
+
+\`\`\`bash
+${lines.join('\n\n') || '# No commands detected'}
+\`\`\`
+`;
+
+  return content;
+}
 
 export function generateInstructionFile(config) {
   const { projectName, stack, commands, customRules } = config;
@@ -15,7 +54,10 @@ export function generateInstructionFile(config) {
 `;
 
   if (stack.stacks.length > 0) {
-    content += `- **Language**: ${stack.stacks.map(s => s.name).join(', ')}\n`;
+    content += `- **Language**: ${formatLanguages(stack)}\n`;
+  }
+  if (stack.runtimes?.length > 0) {
+    content += `- **Runtime**: ${formatRuntimes(stack.runtimes)}\n`;
   }
   if (stack.framework) {
     content += `- **Framework**: ${stack.framework.name}\n`;
@@ -26,6 +68,9 @@ export function generateInstructionFile(config) {
   if (stack.monorepo) {
     content += `- **Monorepo**: ${stack.monorepo.name}\n`;
   }
+  if (stack.taskRunner) {
+    content += `- **Task Runner**: ${stack.taskRunner.run} (${stack.taskRunner.file})\n`;
+  }
 
   content += `
 ## Commands
@@ -42,14 +87,14 @@ ${commands.test || '# No test command detected'}
 
 # Lint
 ${commands.lint || '# No lint command detected'}
-
+${commands.format ? `\n# Format\n${commands.format}\n` : ''}${commands.typecheck ? `\n# Typecheck\n${commands.typecheck}\n` : ''}
 # Build
 ${commands.build || '# No build command detected'}
 
 # Full verification
 ${commands.verify || '# No verify command detected'}
 \`\`\`
-
+${generateStackSections(commands)}${generatePackagesSection(config, 'Each package has its own CLAUDE.md with package-specific commands.')}
 ## Workflow
 
 ### Plan Mode
@@ -136,73 +181,97 @@ ${customRules.map(r => `- ${r}`).join('\n')}
   return content;
 }
 
-export function generateSettings(config) {
-  const { stack, commands } = config;
+function getDefaultPermissions(config) {
+  const { stack } = config;
   const pm = stack.packageManager?.name || 'npm';
 
   const allowedCommands = [];
 
-  switch (pm) {
-    case 'bun':
-      allowedCommands.push('Bash(bun:*)');
-      break;
-    case 'pnpm':
-      allowedCommands.push('Bash(pnpm:*)');
-      break;
-    case 'yarn':
-      allowedCommands.push('Bash(yarn:*)');
-      break;
-    case 'npm':
-      allowedCommands.push('Bash(npm:*)');
-      break;
-    case 'poetry':
-      allowedCommands.push('Bash(poetry:*)');
-      break;
-    case 'cargo':
-      allowedCommands.push('Bash(cargo:*)');
-      break;
+  // Every detected toolchain needs its package manager and tools allowed
+  const packageManagers = new Set([pm, ...stack.stacks.map(s => s.packageManager?.name).filter(Boolean)]);
+  for (const name of packageManagers) {
+    switch (name) {
+      case 'bun':
+        allowedCommands.push('Bash(bun:*)');
+        break;
+      case 'pnpm':
+        allowedCommands.push('Bash(pnpm:*)');
+        break;
+      case 'yarn':
+        allowedCommands.push('Bash(yarn:*)');
+        break;
+      case 'npm':
+        allowedCommands.push('Bash(npm:*)');
+        break;
+      case 'poetry':
+        allowedCommands.push('Bash(poetry:*)');
+        break;
+      case 'pipenv':
+      case 'uv':
+      case 'pdm':
+      case 'rye':
+      case 'hatch':
+        allowedCommands.push(`Bash(${name}:*)`);
+        break;
+      case 'cargo':
+        allowedCommands.push('Bash(cargo:*)');
+        break;
+    }
   }
 
   allowedCommands.push('Bash(git:*)');
   allowedCommands.push('Bash(gh:*)');
 
-  const stackId = stack.stacks[0]?.id;
-  switch (stackId) {
-    case 'go':
-      allowedCommands.push('Bash(go:*)');
-      allowedCommands.push('Bash(golangci-lint:*)');
-      break;
-    case 'rust':
-      allowedCommands.push('Bash(cargo:*)');
-      break;
-    case 'python':
-      allowedCommands.push('Bash(pytest:*)');
-      allowedCommands.push('Bash(ruff:*)');
-      allowedCommands.push('Bash(mypy:*)');
-      break;
-    case 'dotnet':
-      allowedCommands.push('Bash(dotnet:*)');
-      break;
-    case 'elixir':
-      allowedCommands.push('Bash(mix:*)');
-      break;
-    case 'ruby':
-      allowedCommands.push('Bash(bundle:*)');
-      allowedCommands.push('Bash(rails:*)');
-      break;
-    case 'php':
-      allowedCommands.push('Bash(composer:*)');
-      allowedCommands.push('Bash(php:*)');
-      break;
-    case 'java':
-      allowedCommands.push('Bash(mvn:*)');
-      allowedCommands.push('Bash(gradle:*)');
-      break;
+  if (stack.taskRunner) {
+    allowedCommands.push(`Bash(${stack.taskRunner.run}:*)`);
+  }
+
+  // Each stack's detector contributes the tools it needs
+  for (const entry of stack.stacks) {
+    allowedCommands.push(...getStackPermissions(entry));
   }
 
+  return [...new Set(allowedCommands)];
+}
+
+// Build tools, test runners and linters an override may add; interpreters, npx-style runners,
+// shells and remote tools run arbitrary code, so they keep asking before each use
+const OVERRIDE_TOOLS = new Set([
+  'npm', 'pnpm', 'yarn', 'turbo', 'nx', 'lerna', 'make', 'just', 'task', 'rake',
+  'bazel', 'bazelisk', 'gradle', 'mvn', 'sbt', 'mill', 'cargo', 'go', 'dotnet', 'mix', 'swift',
+  'cmake', 'ctest', 'meson', 'ninja', 'zig', 'stack', 'cabal', 'poetry', 'pdm', 'hatch', 'tox', 'nox',
+  'jest', 'vitest', 'mocha', 'playwright', 'cypress', 'pytest', 'rspec', 'phpunit',
+  'eslint', 'prettier', 'biome', 'tsc', 'stylelint', 'ruff', 'black', 'isort', 'flake8', 'pylint', 'mypy', 'pyright',
+  'golangci-lint', 'gofmt', 'rustfmt', 'rubocop', 'phpstan', 'ktlint', 'detekt', 'clang-tidy', 'clang-format',
+  'shellcheck', 'hadolint',
+]);
+
+/**
+ * Permissions needed by overridden commands that the stack defaults don't cover
+ * Leading VAR=value assignments are skipped; only tools in OVERRIDE_TOOLS are allowed
+ * @param {Object} config - Project config with stack and commandOverrides
+ * @returns {string[]} - e.g. ['Bash(turbo:*)']
+ */
+export function getOverridePermissions(config) {
+  const allowed = getDefaultPermissions(config);
+  const added = [];
+  for (const command of Object.values(config.commandOverrides || {})) {
+    if (!command) continue;
+    for (const part of command.split(/&&|\|\||;|\|/)) {
+      const tool = part.trim().split(/\s+/).find(word => !/^[A-Za-z_][A-Za-z0-9_]*=/.test(word));
+      if (!OVERRIDE_TOOLS.has(tool)) continue;
+      const entry = `Bash(${tool}:*)`;
+      if (!allowed.includes(entry) && !added.includes(entry)) added.push(entry);
+    }
+  }
+  return added;
+}
+
+export function generateSettings(config) {
+  const { commands } = config;
   const settings = {
     permissions: {
-      allow: allowedCommands,
+      allow: [...getDefaultPermissions(config), ...getOverridePermissions(config)],
     },
   };
 
@@ -228,7 +297,7 @@ export function generateSettings(config) {
 
 export function generateCommandFile(name, config) {
   const { commands, stack } = config;
-  const stackName = stack.stacks[0]?.name || 'Unknown';
+  const stackName = stack.stacks.map(s => s.name).join(' + ') || 'Unknown';
 
   const templates = {
     test: `# Run ${stackName} tests
@@ -237,7 +306,7 @@ Runs the project test suite.
 
 ## Command
 \`\`\`bash
-${commands.test || '# No test command detected - configure in CLAUDE.md'}
+${stackCommand(commands, c => c.test, '# No test command detected - configure in CLAUDE.md')}
 \`\`\`
 
 ## Usage
@@ -250,12 +319,12 @@ Runs linter and optionally fixes issues.
 
 ## Command
 \`\`\`bash
-${commands.lint || '# No lint command detected - configure in CLAUDE.md'}
+${stackCommand(commands, c => c.lint, '# No lint command detected - configure in CLAUDE.md')}
 \`\`\`
 
 ## Auto-fix
 \`\`\`bash
-${commands.format || (commands.lint ? commands.lint + ' --fix' : '# No format command detected')}
+${stackCommand(commands, c => c.format || (c.lint ? c.lint + ' --fix' : null), '# No format command detected')}
 \`\`\`
 `,
 
@@ -485,7 +554,17 @@ export function generateProjectFiles(config) {
     type: 'settings.json',
   });
 
+  for (const pkg of config.packages || []) {
+    files.push({
+      path: join(projectPath, pkg.path, 'CLAUDE.md'),
+      content: generatePackageInstructionFile(pkg, config),
+      type: 'CLAUDE.md',
+    });
+  }
+
+  const disabled = config.disabledCommands || [];
   for (const cmd of ['test', 'lint', 'verify', 'setup', 'pr', 'commit', 'worktree', 'fix', 'review']) {
+    if (disabled.includes(cmd)) continue;
     files.push({
       path: join(claudeDir, 'commands', `${cmd}.md`),
       content: generateCommandFile(cmd, config),
@@ -507,8 +586,10 @@ export const claudeProvider = {
   projectDir: '.claude',
   instructionFile: 'CLAUDE.md',
   generateInstructionFile,
+  generatePackageInstructionFile,
   generateSettings,
   generateCommandFile,
   generateProjectFiles,
   getDirectories,
+  getOverridePermissions,
 };
@@ -5,6 +5,8 @@
 
 import { join } from 'path';
 import { homedir } from 'os';
+import { COMMAND_LABELS, formatLanguages, generateStackSections, stackCommand, generatePackagesSection } from './shared.js';
+import { formatRuntimes } from '../detector.js';
 
 const RULE_DESCRIPTIONS = {
   test: 'Run project tests before committing',
@@ -26,6 +28,32 @@ function mdcFrontmatter({ description, globs, alwaysApply }) {
   return fm;
 }
 
+/**
+ * Generate a rule scoped to a monorepo package's files
+ */
+export function generatePackageRule(pkg, config) {
+  const { stack, commands } = pkg;
+  const languages = stack.stacks.map(s => s.name).join(', ');
+
+  const lines = Object.entries(COMMAND_LABELS)
+    .filter(([key]) => commands[key])
+    .map(([key, label]) => `# ${label}\n${commands[key]}`);
+
+  return mdcFrontmatter({ description: `${pkg.name} package commands`, globs: `${pkg.path}/**`, alwaysApply: false }) +
+`# ${pkg.name}
+
+Package of the ${config.projectName} monorepo at \`${pkg.path}\`${languages ? ` (${languages}${stack.framework ? `, ${stack.framework.name}` : ''})` : ''}.
+
+## Commands
+
+Run from the repository root:
+
+\`\`\`bash
+${lines.join('\n\n') || '# No commands detected'}
+\`\`\`
+`;
+}
+
 export function generateInstructionFile(config) {
   const { projectName, stack, commands, customRules } = config;
 
@@ -35,7 +63,10 @@ export function generateInstructionFile(config) {
 `;
 
   if (stack.stacks.length > 0) {
-    content += `- **Language**: ${stack.stacks.map(s => s.name).join(', ')}\n`;
+    content += `- **Language**: ${formatLanguages(stack)}\n`;
+  }
+  if (stack.runtimes?.length > 0) {
+    content += `- **Runtime**: ${formatRuntimes(stack.runtimes)}\n`;
   }
   if (stack.framework) {
     content += `- **Framework**: ${stack.framework.name}\n`;
@@ -46,6 +77,9 @@ export function generateInstructionFile(config) {
   if (stack.monorepo) {
     content += `- **Monorepo**: ${stack.monorepo.name}\n`;
   }
+  if (stack.taskRunner) {
+    content += `- **Task Runner**: ${stack.taskRunner.run} (${stack.taskRunner.file})\n`;
+  }
 
   content += `
 ## Commands
@@ -62,14 +96,14 @@ ${commands.test || '# No test command detected'}
 
 # Lint
 ${commands.lint || '# No lint command detected'}
-
+${commands.format ? `\n# Format\n${commands.format}\n` : ''}${commands.typecheck ? `\n# Typecheck\n${commands.typecheck}\n` : ''}
 # Build
 ${commands.build || '# No build command detected'}
 
 # Full verification
 ${commands.verify || '# No verify command detected'}
 \`\`\`
-
+${generateStackSections(commands)}${generatePackagesSection(config, 'Package-specific commands are in scoped rules under .cursor/rules/.')}
 ## Workflow
 
 ### Verification
@@ -132,7 +166,7 @@ Refer to README.md for full project documentation.
 
 export function generateRule(name, config) {
   const { commands, stack } = config;
-  const stackName = stack.stacks[0]?.name || 'Unknown';
+  const stackName = stack.stacks.map(s => s.name).join(' + ') || 'Unknown';
   const description = RULE_DESCRIPTIONS[name] || name;
 
   const ruleTemplates = {
@@ -143,7 +177,7 @@ Run the project test suite.
 
 ## Command
 \`\`\`bash
-${commands.test || '# No test command detected'}
+${stackCommand(commands, c => c.test, '# No test command detected')}
 \`\`\`
 
 Run this command to execute all project tests before committing changes.
@@ -156,12 +190,12 @@ Run linter and optionally fix issues.
 
 ## Command
 \`\`\`bash
-${commands.lint || '# No lint command detected'}
+${stackCommand(commands, c => c.lint, '# No lint command detected')}
 \`\`\`
 
 ## Auto-fix
 \`\`\`bash
-${commands.format || (commands.lint ? commands.lint + ' --fix' : '# No format command detected')}
+${stackCommand(commands, c => c.format || (c.lint ? c.lint + ' --fix' : null), '# No format command detected')}
 \`\`\`
 `,
 
@@ -333,7 +367,17 @@ export function generateProjectFiles(config) {
     type: '.cursorrules',
   });
 
+  for (const pkg of config.packages || []) {
+    files.push({
+      path: join(cursorDir, `package-${pkg.path.replace(/\//g, '-')}.mdc`),
+      content: generatePackageRule(pkg, config),
+      type: 'cursor rule',
+    });
+  }
+
+  const disabled = config.disabledCommands || [];
   for (const name of ['test', 'lint', 'verify', 'setup', 'pr', 'commit', 'worktree', 'fix']) {
+    if (disabled.includes(name)) continue;
     files.push({
       path: join(cursorDir, `${name}.mdc`),
       content: generateRule(name, config),
@@ -355,6 +399,7 @@ export const cursorProvider = {
   projectDir: '.cursor',
   instructionFile: '.cursorrules',
   generateInstructionFile,
+  generatePackageRule,
   generateRule,
   generateProjectFiles,
   getDirectories,
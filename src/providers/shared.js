@@ -0,0 +1,83 @@
+/**
+ * Sections shared by the provider instruction files
+ */
+
+export const COMMAND_LABELS = {
+  setup: 'Setup',
+  dev: 'Development',
+  test: 'Test',
+  lint: 'Lint',
+  format: 'Format',
+  typecheck: 'Typecheck',
+  build: 'Build',
+  verify: 'Full verification',
+};
+
+/**
+ * Language list, marking the primary stack in polyglot projects
+ */
+export function formatLanguages(stack) {
+  if (stack.stacks.length < 2) return stack.stacks.map(s => s.name).join(', ');
+  return stack.stacks.map((s, i) => i === 0 ? `${s.name} (primary)` : s.name).join(', ');
+}
+
+/**
+ * Per-stack command sections for polyglot projects
+ */
+export function generateStackSections(commands) {
+  if (!commands.stacks) return '';
+
+  const sections = commands.stacks.map((entry, i) => {
+    const lines = Object.entries(COMMAND_LABELS)
+      .filter(([key]) => entry.commands[key])
+      .map(([key, label]) => `# ${label}\n${entry.commands[key]}`);
+    return `### ${entry.name}${i === 0 ? ' (primary)' : ''}
+
+\`\`\`bash
+${lines.join('\n\n') || '# No commands detected'}
+\`\`\``;
+  });
+
+  return `
+## Commands by Stack
+
+${sections.join('\n\n')}
+`;
+}
+
+/**
+ * One command, or one command per stack in polyglot projects
+ * @param {Object} commands - Generated commands
+ * @param {Function} select - Picks the command from a commands object
+ * @param {string} fallback - Placeholder when no stack has the command
+ */
+export function stackCommand(commands, select, fallback) {
+  if (!commands.stacks) return select(commands) || fallback;
+  const lines = commands.stacks
+    .filter(entry => select(entry.commands))
+    .map(entry => `# ${entry.name}\n${select(entry.commands)}`);
+  return lines.join('\n\n') || fallback;
+}
+
+/**
+ * List monorepo packages in the root instruction file
+ * @param {Object} config - Project config
+ * @param {string} note - Where package-specific commands live for this provider
+ */
+export function generatePackagesSection(config, note) {
+  const packages = config.packages || [];
+  if (packages.length === 0) return '';
+
+  const rows = packages.map(pkg =>
+    `| \`${pkg.name}\` | \`${pkg.path}\` | ${pkg.stack.stacks.map(s => s.name).join(', ') || '-'} |`);
+
+  return `
+## Packages
+
+| Package | Path | Stack |
+|---------|------|-------|
+${rows.join('\n')}
+
+${note}
+`;
+}
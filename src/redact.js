@@ -0,0 +1,148 @@
+/**
+ * Secret redaction for project files sent to an AI backend
+ */
+
+export const REDACTED = '[REDACTED]';
+
+// Names that mark the value next to them as a secret (NPM_TOKEN, apiKey, client_secret, ...)
+const SECRET_NAME = '[A-Za-z0-9_.-]*(?:token|secret|passw(?:or)?d|api[_-]?key|access[_-]?key|private[_-]?key|credentials?)[A-Za-z0-9_.-]*';
+
+function isSecretValue(value) {
+  return /[A-Za-z]/.test(value) && /[0-9]/.test(value) && !/[:/]/.test(value) &&
+    !/^[~^<>=v]*\d+(\.\d+)*/.test(value) && value !== REDACTED;
+}
+
+/**
+ * Built-in rules; `replace` receives the match groups and returns the redacted text
+ */
+const RULES = [
+  {
+    type: 'private key',
+    pattern: /-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?-----END [A-Z ]*PRIVATE KEY-----/g,
+  },
+  {
+    type: 'URL credentials',
+    pattern: /\b([a-z][a-z0-9+.-]*:\/\/)[^\s/:@"'`]+:[^\s/@"'`]+@/gi,
+    replace: (match, scheme) => `${scheme}${REDACTED}@`,
+  },
+  {
+    type: 'webhook URL',
+    pattern: /https:\/\/(?:hooks\.slack\.com\/(?:services|workflows)|discord(?:app)?\.com\/api\/webhooks|[a-z0-9.-]+\.webhook\.office\.com)\/[^\s"'`]+/gi,
+  },
+  {
+    type: 'registry auth',
+    pattern: /(_(?:authToken|auth|password)\s*[=:]\s*["']?)([^\s"'$][^\s"']*)/g,
+    replace: (match, prefix) => `${prefix}${REDACTED}`,
+  },
+  {
+    type: 'access token',
+    pattern: new RegExp(`\\b(?:${[
+      'gh[pousr]_[A-Za-z0-9]{36,}',
+      'github_pat_[A-Za-z0-9_]{50,}',
+      'glpat-[A-Za-z0-9_-]{20,}',
+      'npm_[A-Za-z0-9]{36}',
+      'xox[abposr]-[A-Za-z0-9-]{10,}',
+      '(?:AKIA|ASIA)[0-9A-Z]{16}',
+      'AIza[0-9A-Za-z_-]{35}',
+      '(?:sk|rk)_(?:live|test)_[A-Za-z0-9]{16,}',
+      'sk-(?:ant-|proj-)?[A-Za-z0-9_-]{20,}',
+      'eyJ[A-Za-z0-9_-]{10,}\\.eyJ[A-Za-z0-9_-]{10,}\\.[A-Za-z0-9_-]{10,}',
+    ].join('|')})`, 'g'),
+  },
+  {
+    // Literal values only: ${{ secrets.X }}, $VAR and %VAR% references are not secrets,
+    // and neither are dependency versions such as "jsonwebtoken": "^9.0.0"
+    type: 'secret value',
+    pattern: new RegExp(`(["']?${SECRET_NAME}["']?\\s*[:=]\\s*["']?)([^\\s"'$%{}<>,;][^\\s"',;]{7,})`, 'gi'),
+    replace: (match, prefix, value) => isSecretValue(value) ? `${prefix}${REDACTED}` : match,
+  },
+];
+
+/**
+ * Shannon entropy in bits per character
+ */
+function entropy(value) {
+  const counts = {};
+  for (const ch of value) counts[ch] = (counts[ch] || 0) + 1;
+  return Object.values(counts).reduce((sum, count) => {
+    const p = count / value.length;
+    return sum - p * Math.log2(p);
+  }, 0);
+}
+
+// Random-looking tokens; hex digests such as pinned action SHAs stay below the threshold
+const HIGH_ENTROPY = /(?<![A-Za-z0-9+/_=-])[A-Za-z0-9+/_=-]{32,}(?![A-Za-z0-9+/_=-])/g;
+const ENTROPY_THRESHOLD = 4.2;
+
+function isHighEntropy(value) {
+  return /[a-z]/.test(value) && /[A-Z]/.test(value) && /[0-9]/.test(value) &&
+    !value.includes('/') && entropy(value) >= ENTROPY_THRESHOLD;
+}
+
+/**
+ * Replace secrets in a file's content
+ * @param {string} content - File content
+ * @param {Object} options - { patterns: extra regular expressions (strings) whose matches are redacted }
+ * @returns {{ content: string, redactions: Array<{ type: string, count: number }> }}
+ */
+export function redactSecrets(content, options = {}) {
+  const { patterns = [] } = options;
+  const counts = new Map();
+  const count = (type) => counts.set(type, (counts.get(type) || 0) + 1);
+
+  const rules = [
+    ...RULES,
+    ...patterns.map(pattern => ({ type: 'custom pattern', pattern: new RegExp(pattern, 'g') })),
+  ];
+  let redacted = content;
+  for (const { type, pattern, replace } of rules) {
+    redacted = redacted.replace(pattern, (match, ...groups) => {
+      const replacement = replace ? replace(match, ...groups) : REDACTED;
+      if (replacement !== match) count(type);
+      return replacement;
+    });
+  }
+
+  redacted = redacted.replace(HIGH_ENTROPY, (match) => {
+    if (!isHighEntropy(match)) return match;
+    count('high-entropy string');
+    return REDACTED;
+  });
+
+  return {
+    content: redacted,
+    redactions: [...counts].map(([type, n]) => ({ type, count: n })),
+  };
+}
+
+/**
+ * Check user-supplied redaction patterns
+ * @param {string[]} patterns - Regular expressions as strings
+ * @param {string} source - Where they came from, for the error message
+ */
+export function validateRedactPatterns(patterns, source) {
+  for (const pattern of patterns) {
+    try {
+      new RegExp(pattern, 'g');
+    } catch (error) {
+      throw new Error(`Invalid redaction pattern in ${source}: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Whether a project-relative path matches a file pattern
+ * `*` stays within a directory, `**` crosses directories; patterns without a `/` match the file name
+ */
+export function matchesFilePattern(path, pattern) {
+  const source = pattern
+    .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*\*/g, '\0')
+    .replace(/\*/g, '[^/]*')
+    .replace(/\?/g, '[^/]')
+    .replace(/\0/g, '.*');
+  const target = pattern.includes('/') ? path : path.split('/').pop();
+  return new RegExp(`^${source}$`).test(target);
+}
+
+export default { redactSecrets, validateRedactPatterns, matchesFilePattern, REDACTED };
@@ -0,0 +1,54 @@
+/**
+ * Minimal JSON Schema validation
+ * Supports the subset clauderc uses: type, enum, required, properties and items
+ */
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+/**
+ * Validate a value against a schema
+ * @param {*} value - Value to check
+ * @param {Object} schema - JSON Schema subset
+ * @param {string} path - Dotted path of the value, used in messages
+ * @returns {Array<{ path: string, message: string }>} - Empty when the value is valid
+ */
+export function validateSchema(value, schema, path = '') {
+  const label = path || 'response';
+  const types = [].concat(schema.type ?? []);
+  if (types.length > 0 && !types.some(type => matchesType(value, type))) {
+    return [{ path, message: `${label} must be ${types.join(' or ')}, got ${typeOf(value)}` }];
+  }
+  if (schema.enum && value !== null && !schema.enum.includes(value)) {
+    return [{ path, message: `${label} must be one of ${schema.enum.join(', ')}, got "${value}"` }];
+  }
+
+  const errors = [];
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push({ path: path ? `${path}.${key}` : key, message: `${path ? `${path}.${key}` : key} is required` });
+      }
+    }
+    for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined) {
+        errors.push(...validateSchema(value[key], propertySchema, path ? `${path}.${key}` : key));
+      }
+    }
+  }
+  if (typeOf(value) === 'array' && schema.items) {
+    value.forEach((item, i) => errors.push(...validateSchema(item, schema.items, `${path}[${i}]`)));
+  }
+  return errors;
+}
+
+export default { validateSchema };
@@ -3,15 +3,38 @@
  */
 
 export const STACKS = {
+  // ==================== Deno ====================
+  // Before Node.js so Deno is the primary stack when a package.json sits next to deno.json
+  deno: {
+    name: 'Deno',
+    detect: ['deno.json', 'deno.jsonc'],
+    packageManagers: {
+      deno: { lockfile: 'deno.lock', install: 'deno install', run: 'deno task' },
+    },
+    commands: {
+      test: ['test'],
+      lint: ['lint'],
+      format: ['fmt', 'format'],
+      typecheck: ['check', 'typecheck'],
+      build: ['build'],
+      dev: ['dev', 'start'],
+    },
+    frameworks: {
+      fresh: { detect: ['$fresh/', '@fresh/core'], dev: 'deno task start', build: 'deno task build' },
+      hono: { detect: 'hono' },
+      oak: { detect: '@oak/oak' },
+    },
+  },
+
   // ==================== Node.js / TypeScript ====================
   node: {
     name: 'Node.js',
     detect: ['package.json'],
     packageManagers: {
-      bun: { lockfile: 'bun.lockb', install: 'bun install', run: 'bun run' },
-      pnpm: { lockfile: 'pnpm-lock.yaml', install: 'pnpm install', run: 'pnpm run' },
-      yarn: { lockfile: 'yarn.lock', install: 'yarn install', run: 'yarn' },
-      npm: { lockfile: 'package-lock.json', install: 'npm install', run: 'npm run' },
+      bun: { lockfile: 'bun.lockb', install: 'bun install', run: 'bun run', exec: 'bunx', filter: 'bun run --filter {name} {script}' },
+      pnpm: { lockfile: 'pnpm-lock.yaml', install: 'pnpm install', run: 'pnpm run', exec: 'pnpm exec', filter: 'pnpm --filter {name} {script}' },
+      yarn: { lockfile: 'yarn.lock', install: 'yarn install', run: 'yarn', exec: 'yarn', filter: 'yarn workspace {name} {script}' },
+      npm: { lockfile: 'package-lock.json', install: 'npm install', run: 'npm run', exec: 'npx', filter: 'npm run {script} --workspace={name}' },
     },
     commands: {
       test: ['test', 'test:unit', 'vitest', 'jest'],
@@ -41,6 +64,9 @@ export const STACKS = {
       poetry: { lockfile: 'poetry.lock', install: 'poetry install', run: 'poetry run' },
       pipenv: { lockfile: 'Pipfile.lock', install: 'pipenv install', run: 'pipenv run' },
       uv: { lockfile: 'uv.lock', install: 'uv sync', run: 'uv run' },
+      pdm: { lockfile: 'pdm.lock', install: 'pdm install', run: 'pdm run', config: '[tool.pdm' },
+      rye: { lockfile: 'requirements-dev.lock', install: 'rye sync', run: 'rye run', config: '[tool.rye' },
+      hatch: { configFile: 'hatch.toml', install: 'hatch env create', run: 'hatch run', config: '[tool.hatch.envs' },
       pip: { lockfile: 'requirements.txt', install: 'pip install -r requirements.txt', run: '' },
     },
     commands: {
@@ -49,6 +75,22 @@ export const STACKS = {
       format: 'ruff format .',
       typecheck: 'mypy .',
     },
+    // Commands for tools listed in TEST_FRAMEWORKS.python and LINT_TOOLS.python
+    tools: {
+      pytest: { test: 'pytest' },
+      unittest: { test: 'python -m unittest' },
+      nose2: { test: 'nose2' },
+      ruff: { lint: 'ruff check .', format: 'ruff format .' },
+      flake8: { lint: 'flake8' },
+      pylint: { lint: 'pylint --recursive=y .' },
+      pyflakes: { lint: 'pyflakes .' },
+      black: { format: 'black .' },
+      autopep8: { format: 'autopep8 --in-place --recursive .' },
+      yapf: { format: 'yapf --in-place --recursive .' },
+      mypy: { typecheck: 'mypy .' },
+      pyright: { typecheck: 'pyright' },
+      pyre: { typecheck: 'pyre check' },
+    },
     frameworks: {
       django: { detect: 'django', dev: 'python manage.py runserver', test: 'python manage.py test' },
       fastapi: { detect: 'fastapi', dev: 'uvicorn app.main:app --reload' },
@@ -113,12 +155,19 @@ export const STACKS = {
       test: { maven: 'mvn test', gradle: 'gradle test' },
       lint: { maven: 'mvn checkstyle:check', gradle: 'gradle checkstyleMain' },
       build: { maven: 'mvn package', gradle: 'gradle build' },
-      dev: { maven: 'mvn spring-boot:run', gradle: 'gradle bootRun' },
+      // Without a framework, only Gradle's application plugin has a run task
+      dev: { gradle: 'gradle run' },
     },
     frameworks: {
-      spring: { detect: 'spring-boot' },
-      quarkus: { detect: 'quarkus', dev: 'quarkus dev' },
-      micronaut: { detect: 'micronaut' },
+      spring: { detect: 'spring-boot', dev: { maven: 'mvn spring-boot:run', gradle: 'gradle bootRun' } },
+      quarkus: {
+        detect: 'quarkus',
+        dev: { maven: 'mvn quarkus:dev', gradle: 'gradle quarkusDev' },
+        // Generated Quarkus projects run @QuarkusIntegrationTest in verify / quarkusIntTest
+        test: { maven: 'mvn verify', gradle: 'gradle test quarkusIntTest' },
+        build: { gradle: 'gradle quarkusBuild' },
+      },
+      micronaut: { detect: 'micronaut', dev: { maven: 'mvn mn:run', gradle: 'gradle run' } },
     },
   },
 
@@ -167,9 +216,10 @@ export const STACKS = {
       format: 'dotnet format',
     },
     frameworks: {
-      aspnet: { detect: 'Microsoft.AspNetCore' },
-      maui: { detect: 'Microsoft.Maui' },
-      blazor: { detect: 'Microsoft.AspNetCore.Components' },
+      // Checked in order: Blazor and MAUI projects also reference ASP.NET Core
+      blazor: { detect: ['Microsoft.AspNetCore.Components', 'Microsoft.NET.Sdk.BlazorWebAssembly'], dev: 'dotnet watch run' },
+      maui: { detect: ['Microsoft.Maui', '<UseMaui>true'] },
+      aspnet: { detect: ['Microsoft.AspNetCore', 'Microsoft.NET.Sdk.Web'], dev: 'dotnet watch run' },
     },
   },
 
@@ -185,7 +235,7 @@ export const STACKS = {
       dev: 'mix phx.server',
     },
     frameworks: {
-      phoenix: { detect: 'phoenix' },
+      phoenix: { detect: 'phoenix', dev: 'mix phx.server' },
     },
   },
 
@@ -200,6 +250,103 @@ export const STACKS = {
     },
   },
 
+  // ==================== Kotlin Multiplatform ====================
+  // Shares build files with Java/Kotlin; matched when the Kotlin multiplatform plugin is applied
+  kmp: {
+    name: 'Kotlin Multiplatform',
+    detect: ['build.gradle.kts', 'build.gradle'],
+    commands: {
+      setup: 'assemble',
+      test: 'allTests',
+      build: 'build',
+    },
+    tools: {
+      ktlint: { detect: ['org.jlleitschuh.gradle.ktlint', 'ktlint'], lint: 'ktlintCheck', format: 'ktlintFormat' },
+      detekt: { detect: ['io.gitlab.arturbosch.detekt', 'detekt'], lint: 'detekt' },
+    },
+    frameworks: {
+      compose: { detect: ['org.jetbrains.compose', 'composeMultiplatform'] },
+      ktor: { detect: 'io.ktor' },
+    },
+  },
+
+  // ==================== Scala ====================
+  scala: {
+    name: 'Scala',
+    detect: ['build.sbt', 'build.sc'],
+    packageManagers: {
+      sbt: { detect: 'build.sbt', install: 'sbt update', run: 'sbt' },
+      mill: { detect: 'build.sc', install: 'mill __.prepareOffline', run: 'mill' },
+    },
+    commands: {
+      test: { sbt: 'sbt test', mill: 'mill __.test' },
+      build: { sbt: 'sbt compile', mill: 'mill __.compile' },
+      dev: { sbt: 'sbt run', mill: 'mill __.run' },
+    },
+    tools: {
+      scalafix: { config: '.scalafix.conf', lint: { sbt: 'sbt "scalafixAll --check"', mill: 'mill __.fix --check' } },
+      scalafmt: { config: '.scalafmt.conf', format: { sbt: 'sbt scalafmtAll', mill: 'mill mill.scalalib.scalafmt.ScalafmtModule/reformatAll __.sources' } },
+    },
+    frameworks: {
+      play: { detect: ['com.typesafe.play', 'org.playframework'], dev: { sbt: 'sbt run' } },
+      http4s: { detect: 'http4s' },
+      zio: { detect: 'dev.zio' },
+      akka: { detect: ['com.typesafe.akka', 'org.apache.pekko'] },
+    },
+  },
+
+  // ==================== C / C++ ====================
+  cpp: {
+    name: 'C/C++',
+    detect: ['CMakeLists.txt', 'meson.build'],
+    packageManagers: {
+      cmake: { detect: 'CMakeLists.txt', install: 'cmake -S . -B build', build: 'cmake --build build', test: 'ctest --test-dir build' },
+      meson: { detect: 'meson.build', install: 'meson setup build', build: 'meson compile -C build', test: 'meson test -C build' },
+    },
+    tools: {
+      'clang-tidy': { config: '.clang-tidy', lint: 'run-clang-tidy -p build' },
+      'clang-format': { config: '.clang-format', format: "git ls-files '*.c' '*.cc' '*.cpp' '*.h' '*.hpp' | xargs clang-format -i" },
+    },
+  },
+
+  // ==================== Zig ====================
+  zig: {
+    name: 'Zig',
+    detect: ['build.zig'],
+    commands: {
+      setup: 'zig build --fetch',
+      dev: 'zig build run',
+      test: 'zig build test',
+      format: 'zig fmt .',
+      build: 'zig build',
+    },
+  },
+
+  // ==================== Haskell ====================
+  haskell: {
+    name: 'Haskell',
+    detect: ['stack.yaml', 'cabal.project', '*.cabal'],
+    packageManagers: {
+      stack: { detect: 'stack.yaml', install: 'stack build --only-dependencies', run: 'stack' },
+      cabal: { detect: ['cabal.project', '*.cabal'], install: 'cabal build --only-dependencies', run: 'cabal' },
+    },
+    commands: {
+      test: 'test',
+      build: 'build',
+      dev: 'run',
+    },
+    tools: {
+      hlint: { config: '.hlint.yaml', lint: 'hlint .' },
+      fourmolu: { config: 'fourmolu.yaml', format: "fourmolu --mode inplace $(git ls-files '*.hs')" },
+      ormolu: { config: '.ormolu', format: "ormolu --mode inplace $(git ls-files '*.hs')" },
+    },
+    frameworks: {
+      yesod: { detect: 'yesod' },
+      servant: { detect: 'servant-server' },
+      scotty: { detect: 'scotty' },
+    },
+  },
+
   // ==================== Dart / Flutter ====================
   dart: {
     name: 'Dart/Flutter',
@@ -218,26 +365,73 @@ export const STACKS = {
 
 /**
  * Monorepo detection
+ * `filter` runs a script in a single package ({script} and {name} are replaced)
  */
 export const MONOREPO_TOOLS = {
-  turborepo: { detect: 'turbo.json', run: 'turbo run' },
-  nx: { detect: 'nx.json', run: 'nx run' },
-  lerna: { detect: 'lerna.json', run: 'lerna run' },
+  turborepo: { detect: 'turbo.json', run: 'turbo run', filter: 'turbo run {script} --filter={name}' },
+  nx: { detect: 'nx.json', run: 'nx run', filter: 'nx run {name}:{script}' },
+  lerna: { detect: 'lerna.json', run: 'lerna run', filter: 'lerna run {script} --scope={name}' },
   rush: { detect: 'rush.json', run: 'rush' },
   pnpmWorkspace: { detect: 'pnpm-workspace.yaml' },
   yarnWorkspaces: { detect: 'package.json' }, // check workspaces field
 };
 
+/**
+ * Task runner detection
+ * `targets` lists target names that map to each command, in order of preference
+ */
+export const TASK_RUNNERS = {
+  make: { detect: ['Makefile', 'makefile', 'GNUmakefile'], run: 'make' },
+  just: { detect: ['justfile', 'Justfile', '.justfile'], run: 'just' },
+  task: { detect: ['Taskfile.yml', 'Taskfile.yaml', 'taskfile.yml', 'taskfile.yaml'], run: 'task' },
+};
+
+export const TASK_TARGETS = {
+  setup: ['setup', 'install', 'deps', 'bootstrap'],
+  dev: ['dev', 'run', 'serve', 'start'],
+  test: ['test', 'tests', 'test-unit', 'unit'],
+  lint: ['lint', 'vet'],
+  format: ['format', 'fmt'],
+  typecheck: ['typecheck', 'type-check', 'types'],
+  build: ['build', 'compile'],
+  verify: ['verify', 'check', 'ci', 'validate'],
+};
+
+/**
+ * Runtimes whose version projects pin
+ * `toolVersions` are the plugin names asdf and mise use in .tool-versions
+ */
+export const RUNTIMES = {
+  node: { name: 'Node.js', toolVersions: ['nodejs', 'node'] },
+  python: { name: 'Python', toolVersions: ['python'] },
+  go: { name: 'Go', toolVersions: ['golang', 'go'] },
+  rust: { name: 'Rust', toolVersions: ['rust'] },
+  ruby: { name: 'Ruby', toolVersions: ['ruby'] },
+  java: { name: 'Java', toolVersions: ['java'] },
+  php: { name: 'PHP', toolVersions: ['php'] },
+  elixir: { name: 'Elixir', toolVersions: ['elixir'] },
+  erlang: { name: 'Erlang', toolVersions: ['erlang'] },
+  dotnet: { name: '.NET', toolVersions: ['dotnet', 'dotnet-core'] },
+  dart: { name: 'Dart', toolVersions: ['dart'] },
+  flutter: { name: 'Flutter', toolVersions: ['flutter'] },
+  deno: { name: 'Deno', toolVersions: ['deno'] },
+  bun: { name: 'Bun', toolVersions: ['bun'] },
+  zig: { name: 'Zig', toolVersions: ['zig'] },
+  ghc: { name: 'GHC', toolVersions: ['ghc', 'haskell'] },
+  scala: { name: 'Scala', toolVersions: ['scala'] },
+};
+
 /**
  * CI/CD detection
+ * `files` are the pipeline definitions and `steps` the YAML keys holding shell commands
  */
 export const CI_PLATFORMS = {
-  github: { detect: '.github/workflows' },
-  gitlab: { detect: '.gitlab-ci.yml' },
-  circleci: { detect: '.circleci' },
+  github: { detect: '.github/workflows', files: ['.github/workflows/*.yml', '.github/workflows/*.yaml'], steps: ['run'] },
+  gitlab: { detect: '.gitlab-ci.yml', files: ['.gitlab-ci.yml'], steps: ['before_script', 'script'] },
+  circleci: { detect: '.circleci', files: ['.circleci/config.yml'], steps: ['run', 'command'] },
   jenkins: { detect: 'Jenkinsfile' },
   travis: { detect: '.travis.yml' },
-  azure: { detect: 'azure-pipelines.yml' },
+  azure: { detect: 'azure-pipelines.yml', files: ['azure-pipelines.yml'], steps: ['script', 'bash'] },
   bitbucket: { detect: 'bitbucket-pipelines.yml' },
 };
 
@@ -254,6 +448,12 @@ export const TEST_FRAMEWORKS = {
   ruby: ['rspec', 'minitest'],
   dotnet: ['xunit', 'nunit', 'mstest'],
   elixir: ['exunit'],
+  deno: ['deno test'],
+  kmp: ['kotlin.test'],
+  scala: ['munit', 'scalatest', 'zio-test'],
+  cpp: ['ctest', 'googletest', 'catch2'],
+  zig: ['zig test'],
+  haskell: ['hspec', 'tasty', 'quickcheck'],
 };
 
 /**
@@ -267,7 +467,7 @@ export const LINT_TOOLS = {
   },
   python: {
     linters: ['ruff', 'flake8', 'pylint', 'pyflakes'],
-    formatters: ['ruff', 'black', 'autopep8', 'yapf'],
+    formatters: ['black', 'ruff', 'autopep8', 'yapf'],
     typecheckers: ['mypy', 'pyright', 'pyre'],
   },
   go: {
@@ -294,6 +494,30 @@ export const LINT_TOOLS = {
     linters: ['dotnet format'],
     formatters: ['dotnet format'],
   },
+  deno: {
+    linters: ['deno lint'],
+    formatters: ['deno fmt'],
+    typecheckers: ['deno check'],
+  },
+  kmp: {
+    linters: ['ktlint', 'detekt'],
+    formatters: ['ktlint'],
+  },
+  scala: {
+    linters: ['scalafix'],
+    formatters: ['scalafmt'],
+  },
+  cpp: {
+    linters: ['clang-tidy'],
+    formatters: ['clang-format'],
+  },
+  zig: {
+    formatters: ['zig fmt'],
+  },
+  haskell: {
+    linters: ['hlint'],
+    formatters: ['fourmolu', 'ormolu'],
+  },
 };
 
 export default STACKS;
@@ -0,0 +1,543 @@
+#!/usr/bin/env node
+/**
+ * Test script for the CLI commands
+ * Each case runs bin/cli.js in a scratch project with its own HOME, so nothing
+ * touches the real ~/.claude; PATH is limited to system binaries so no AI CLI runs
+ */
+
+import { mkdirSync, writeFileSync, readFileSync, readdirSync, rmSync, existsSync } from 'fs';
+import { join, dirname } from 'path';
+import { spawnSync } from 'child_process';
+import { fileURLToPath } from 'url';
+
+const CLI = join(dirname(fileURLToPath(import.meta.url)), '..', 'bin', 'cli.js');
+const TEST_DIR = '/tmp/claude-code-setup-cli-test';
+const HOME_DIR = join(TEST_DIR, 'home');
+const PROJECT_DIR = join(TEST_DIR, 'project');
+
+// Project detector plugin that leaves a marker file when imported
+const PLUGIN = `import { writeFileSync } from 'fs';
+writeFileSync('imported', '');
+export default { type: 'stack', id: 'bazel', name: 'Bazel', detect: 'MODULE.bazel' };
+`;
+
+// Installed file the update cases edit, and an edit that makes the manifest look a version old
+const AGENT = 'agents/project-setup-wizard.md';
+const olderInstall = (content) => {
+  const manifest = JSON.parse(content);
+  manifest.version = '0.0.1';
+  manifest.files[AGENT] = { ...manifest.files[AGENT], version: '0.0.0', hash: 'stale' };
+  return JSON.stringify(manifest);
+};
+
+// Test scenarios
+// `before` runs CLI commands (arrays) and file edits (objects) in order, then `edits` rewrites
+// files; an edit is new content or a function of the current content (`~/` paths are in HOME)
+const testCases = [
+  {
+    name: 'doctor fails on a missing script and warns on unknown shorthand',
+    files: {
+      'package.json': JSON.stringify({ scripts: { test: 'vitest' } }),
+      'node_modules/.bin/vitest': '',
+      'CLAUDE.md': '```bash\npnpm vitest run\npnpm lint\nnpm run build\npnpm test\n```\n',
+    },
+    args: ['doctor'],
+    expected: {
+      exitCode: 1,
+      output: ['references 1 missing script(s)', 'npm run build', 'neither a script nor an installed binary', 'pnpm lint'],
+      notOutput: ['pnpm vitest'],
+    },
+  },
+  {
+    name: 'doctor passes binaries run through the package manager',
+    files: {
+      'package.json': JSON.stringify({ scripts: { test: 'vitest' } }),
+      'node_modules/.bin/vitest': '',
+      'CLAUDE.md': '```bash\npnpm vitest run\npnpm test\n```\n',
+    },
+    args: ['doctor'],
+    expected: {
+      output: ['CLAUDE.md commands match package.json scripts'],
+      notOutput: ['missing script'],
+    },
+  },
+  {
+    name: 'project adds permissions for overridden commands, but never shells or cd',
+    files: {
+      'package.json': JSON.stringify({ name: 'overrides', scripts: { test: 'jest' } }),
+    },
+    args: ['project', '--provider', 'claude', '--yes', '--no-ai',
+      '--command', 'test=CI=1 turbo run test', '--command', "lint=cd web && bash -c 'eslint .'"],
+    expected: {
+      output: ['permissions added for overridden commands: Bash(turbo:*)'],
+      files: {
+        '.claude/settings.json': 'Bash(turbo:*)',
+        'CLAUDE.md': 'CI=1 turbo run test',
+        '.claude/commands/test.md': 'CI=1 turbo run test',
+      },
+      fileExcludes: {
+        '.claude/settings.json': ['Bash(CI=1:*)', 'Bash(cd:*)', 'Bash(bash:*)'],
+        'CLAUDE.md': ['npm run test'],
+      },
+    },
+  },
+  {
+    name: 'project adds no permissions for interpreters or package runners in overrides',
+    files: {
+      'package.json': JSON.stringify({ name: 'overrides', scripts: { test: 'jest' } }),
+    },
+    args: ['project', '--provider', 'claude', '--yes', '--no-ai',
+      '--command', "test=perl -e 'x'", '--command', 'lint=npx some-pkg && ssh host make'],
+    expected: {
+      notOutput: ['permissions added for overridden commands'],
+      fileExcludes: { '.claude/settings.json': ['Bash(perl:*)', 'Bash(npx:*)', 'Bash(ssh:*)'] },
+    },
+  },
+  {
+    name: 'doctor --json reports checks and fails with exit code 1',
+    files: {
+      'package.json': JSON.stringify({ scripts: {} }),
+      'CLAUDE.md': '```bash\nnpm run build\n```\n',
+    },
+    args: ['doctor', '--json'],
+    expected: {
+      exitCode: 1,
+      json: { command: 'doctor', failed: 1 },
+    },
+  },
+  {
+    name: 'uninstall --json lists removed files',
+    before: [['init', '--provider', 'claude', '--json']],
+    args: ['uninstall', '--json'],
+    expected: {
+      json: { command: 'uninstall', providers: ['claude'], 'kept.length': 0, 'removed.0.file': 'agents/project-setup-wizard.md' },
+      files: { '~/.claude/.clauderc.json': false },
+    },
+  },
+  {
+    name: 'rollback --json lists backup runs without restoring',
+    before: [['init', '--provider', 'claude', '--json'], ['init', '--provider', 'claude', '--force', '--json']],
+    args: ['rollback', '--json'],
+    expected: {
+      json: { command: 'rollback', run: null, 'runs.length': 1, 'restored.length': 0 },
+    },
+  },
+  {
+    name: 'changelog --json prints the changelog',
+    args: ['changelog', '--json'],
+    expected: {
+      output: ['"changelog": ['],
+      json: { command: 'changelog', installedVersion: null },
+    },
+  },
+  {
+    name: 'uninstall removes the backups of removed files',
+    before: [['init', '--provider', 'claude', '--json'], ['init', '--provider', 'claude', '--force', '--json']],
+    args: ['uninstall', '--json'],
+    expected: {
+      json: { 'backups.kept.length': 0 },
+      files: { '~/.claude/.clauderc.json': false },
+      backups: 0,
+    },
+  },
+  {
+    name: 'uninstall keeps the manifest entry, base copy and backups of kept files',
+    before: [['init', '--provider', 'claude', '--json'], ['init', '--provider', 'claude', '--force', '--json']],
+    edits: { '~/.claude/agents/project-setup-wizard.md': 'my own agent\n' },
+    args: ['uninstall', '--keep-modified', '--json'],
+    expected: {
+      json: { 'kept.0.file': 'agents/project-setup-wizard.md', 'backups.kept.length': 1 },
+      files: {
+        '~/.claude/.clauderc.json': '"agents/project-setup-wizard.md"',
+        '~/.claude/.clauderc/base/agents/project-setup-wizard.md': true,
+        '~/.claude/agents/project-setup-wizard.md': 'my own agent',
+      },
+      // The kept file's and the manifest's, which stays
+      backups: 2,
+    },
+  },
+  {
+    name: 'uninstall --dry-run reports edited files without asking or removing',
+    before: [['init', '--provider', 'claude', '--json']],
+    edits: { '~/.claude/agents/project-setup-wizard.md': 'my own agent\n' },
+    args: ['uninstall', '--dry-run'],
+    expected: {
+      output: ['modified - would ask'],
+      notOutput: ['Remove it?'],
+      files: { '~/.claude/.clauderc.json': true, '~/.claude/.clauderc/base/agents/project-setup-wizard.md': true },
+    },
+  },
+  {
+    name: 'detect skips project detector plugins unless trusted',
+    files: {
+      'clauderc.config.json': JSON.stringify({ detectors: ['./plugin.mjs'] }),
+      'plugin.mjs': PLUGIN,
+      'MODULE.bazel': '',
+    },
+    args: ['detect', '--json'],
+    expected: {
+      output: ['Skipped detector plugins: ./plugin.mjs', '--trust-plugins'],
+      files: { 'imported': false },
+    },
+  },
+  {
+    name: 'detect loads project detector plugins with --trust-plugins',
+    files: {
+      'clauderc.config.json': JSON.stringify({ detectors: ['./plugin.mjs'] }),
+      'plugin.mjs': PLUGIN,
+      'MODULE.bazel': '',
+    },
+    args: ['detect', '--json', '--trust-plugins'],
+    expected: {
+      json: { 'detection.stacks.0.id': 'bazel' },
+      files: { 'imported': true },
+    },
+  },
+  {
+    name: 'update merges template changes into an edited file',
+    before: [['init', '--provider', 'claude', '--json']],
+    edits: {
+      [`~/.claude/.clauderc/base/${AGENT}`]: (content) => `${content}\nOLD FOOTER\n`,
+      [`~/.claude/${AGENT}`]: (content) => `# My note\n${content}\nOLD FOOTER\n`,
+      '~/.claude/.clauderc.json': olderInstall,
+    },
+    args: ['update', '--json'],
+    expected: {
+      json: { 'updated.0.file': AGENT, 'updated.0.merged': true, 'conflicts.length': 0 },
+      files: { [`~/.claude/${AGENT}`]: '# My note\n' },
+      fileExcludes: { [`~/.claude/${AGENT}`]: ['OLD FOOTER'] },
+    },
+  },
+  {
+    name: 'update writes conflict markers where both sides changed a line',
+    before: [['init', '--provider', 'claude', '--json']],
+    edits: {
+      [`~/.claude/.clauderc/base/${AGENT}`]: (content) => `${content}\nOLD FOOTER\n`,
+      [`~/.claude/${AGENT}`]: (content) => `${content}\nMY FOOTER\n`,
+      '~/.claude/.clauderc.json': olderInstall,
+    },
+    args: ['update', '--json'],
+    expected: {
+      json: { 'conflicts.0.file': AGENT, 'conflicts.0.count': 1 },
+      files: { [`~/.claude/${AGENT}`]: '<<<<<<< yours\n\nMY FOOTER\n=======\n>>>>>>> clauderc v' },
+    },
+  },
+  {
+    name: 'list reports files edited since install from the manifest hashes',
+    before: [['init', '--provider', 'claude', '--json']],
+    edits: { [`~/.claude/${AGENT}`]: 'my own agent\n' },
+    args: ['list', '--json'],
+    expected: {
+      json: { 'files.0.file': AGENT, 'files.0.status': 'modified', 'files.1.status': 'pristine' },
+      files: { '~/.claude/.clauderc.json': '"hash": "' },
+    },
+  },
+  {
+    name: 'update --keep-modified skips edited files',
+    before: [['init', '--provider', 'claude', '--json']],
+    edits: {
+      [`~/.claude/${AGENT}`]: 'my own agent\n',
+      '~/.claude/.clauderc.json': olderInstall,
+    },
+    args: ['update', '--keep-modified', '--json'],
+    expected: {
+      json: { 'skipped.0.file': AGENT, 'skipped.0.reason': 'modified', 'updated.length': 0 },
+      files: { [`~/.claude/${AGENT}`]: 'my own agent' },
+    },
+  },
+  {
+    name: 'rollback restores the files a run replaced',
+    before: [['init', '--provider', 'claude', '--json'], { [`~/.claude/${AGENT}`]: 'my own agent\n' }, ['init', '--provider', 'claude', '--force', '--json']],
+    args: ['rollback', '1', '--json'],
+    expected: {
+      json: { command: 'rollback', dryRun: false },
+      files: { [`~/.claude/${AGENT}`]: 'my own agent' },
+      backups: 0,
+    },
+  },
+  {
+    name: 'rollback of a single file leaves the rest of the run',
+    before: [['init', '--provider', 'claude', '--json'], { [`~/.claude/${AGENT}`]: 'my own agent\n', '~/.claude/commands/test.md': 'my own test\n' }, ['init', '--provider', 'claude', '--force', '--json']],
+    args: ['rollback', '1', AGENT, '--json'],
+    expected: {
+      json: { 'restored.length': 1 },
+      files: { [`~/.claude/${AGENT}`]: 'my own agent' },
+      fileExcludes: { '~/.claude/commands/test.md': ['my own test'] },
+    },
+  },
+  {
+    name: 'rollback --prune removes old backups',
+    before: [['init', '--provider', 'claude', '--json'], ['init', '--provider', 'claude', '--force', '--json']],
+    args: ['rollback', '--prune', '0', '--json'],
+    expected: {
+      json: { 'runsKept': 0 },
+      backups: 0,
+    },
+  },
+  {
+    name: 'project runs without prompts from an answers file',
+    files: {
+      'package.json': JSON.stringify({ name: 'answers', scripts: { test: 'jest' } }),
+      'answers.json': JSON.stringify({ provider: 'cursor', ai: false, confirm: true, rules: ['Use tabs'], mergeStrategy: 'overwrite' }),
+    },
+    args: ['project', '--answers', 'answers.json'],
+    expected: {
+      files: { '.cursorrules': 'Use tabs', 'CLAUDE.md': false },
+    },
+  },
+  {
+    name: 'project flags win over the answers file',
+    files: {
+      'package.json': JSON.stringify({ name: 'answers', scripts: { test: 'jest' } }),
+      'answers.json': JSON.stringify({ provider: 'cursor', ai: false, confirm: true, rules: [] }),
+    },
+    args: ['project', '--answers', 'answers.json', '--provider', 'claude'],
+    expected: {
+      files: { 'CLAUDE.md': true, '.cursorrules': false },
+    },
+  },
+  {
+    name: 'project fails instead of prompting without a TTY',
+    files: {
+      'package.json': JSON.stringify({ name: 'no-tty' }),
+    },
+    args: ['project', '--no-ai'],
+    expected: {
+      exitCode: 1,
+      output: ['Cannot prompt: stdin is not a TTY'],
+      files: { 'CLAUDE.md': false },
+    },
+  },
+  {
+    name: 'project rejects an invalid answers file',
+    files: {
+      'package.json': JSON.stringify({ name: 'bad-answers' }),
+      'answers.json': JSON.stringify({ mergeStrategy: 'rebase' }),
+    },
+    args: ['project', '--answers', 'answers.json'],
+    expected: {
+      exitCode: 1,
+      output: ['Invalid mergeStrategy "rebase"'],
+    },
+  },
+  {
+    name: 'project saves rules, overrides and disabled commands to the project config',
+    files: {
+      'package.json': JSON.stringify({ name: 'saved', scripts: { test: 'jest' } }),
+    },
+    args: ['project', '--provider', 'claude', '--yes', '--no-ai', '--rule', 'Use tabs',
+      '--command', 'test=pnpm vitest run', '--disable-command', 'worktree'],
+    expected: {
+      files: {
+        'clauderc.config.json': '"disabledCommands": [\n    "worktree"\n  ]',
+        '.claude/commands/test.md': true,
+        '.claude/commands/worktree.md': false,
+      },
+      fileExcludes: { 'clauderc.config.json': ['"analysis"'] },
+    },
+  },
+  {
+    name: 'project rejects an unknown command to disable',
+    files: {
+      'package.json': JSON.stringify({ name: 'saved' }),
+    },
+    args: ['project', '--yes', '--no-ai', '--disable-command', 'deploy'],
+    expected: {
+      exitCode: 1,
+      output: ['--disable-command must be one of'],
+    },
+  },
+  {
+    name: 'regenerate rebuilds the files from the project config',
+    files: {
+      'package.json': JSON.stringify({ name: 'saved', scripts: { test: 'jest' } }),
+      'clauderc.config.json': JSON.stringify({
+        providers: ['claude'],
+        ai: false,
+        rules: ['Use tabs'],
+        commands: { test: 'pnpm vitest run' },
+        disabledCommands: ['worktree'],
+      }),
+    },
+    args: ['regenerate'],
+    expected: {
+      files: {
+        'CLAUDE.md': 'Use tabs',
+        '.claude/commands/test.md': 'pnpm vitest run',
+        '.claude/commands/worktree.md': false,
+      },
+    },
+  },
+  {
+    name: 'regenerate reuses the stored analysis instead of calling the AI backend',
+    files: {
+      'package.json': JSON.stringify({ name: 'stored' }),
+      'clauderc.config.json': JSON.stringify({
+        providers: ['claude'],
+        ai: true,
+        analysis: {
+          backend: 'claude-cli',
+          model: 'haiku',
+          createdAt: '2026-01-02T10:00:00.000Z',
+          result: { stack: { language: 'JavaScript' }, commands: { test: 'npm run test:unit' } },
+          choices: {},
+        },
+      }),
+    },
+    args: ['regenerate'],
+    expected: {
+      output: ['Using the analysis stored in clauderc.config.json on 2026-01-02'],
+      notOutput: ['Analyzing project with', 'AI analysis failed'],
+      files: { '.claude/commands/test.md': 'npm run test:unit' },
+    },
+  },
+  {
+    name: 'regenerate without a stored analysis does not call the AI backend',
+    files: {
+      'package.json': JSON.stringify({ name: 'stored' }),
+      'clauderc.config.json': JSON.stringify({ providers: ['claude'], ai: true }),
+    },
+    args: ['regenerate'],
+    expected: {
+      output: ['No usable analysis stored in clauderc.config.json'],
+      notOutput: ['Analyzing project with', 'AI analysis failed'],
+      files: { 'CLAUDE.md': true },
+    },
+  },
+];
+
+function writeFiles(files) {
+  for (const [path, content] of Object.entries(files)) {
+    const fullPath = path.startsWith('~/') ? join(HOME_DIR, path.slice(2)) : join(PROJECT_DIR, path);
+    mkdirSync(dirname(fullPath), { recursive: true });
+    writeFileSync(fullPath, typeof content === 'function' ? content(readPath(path)) : content);
+  }
+}
+
+function setupTestDir(files = {}) {
+  if (existsSync(TEST_DIR)) {
+    rmSync(TEST_DIR, { recursive: true });
+  }
+  mkdirSync(HOME_DIR, { recursive: true });
+  mkdirSync(PROJECT_DIR, { recursive: true });
+  writeFiles(files);
+}
+
+function runCLI(args) {
+  const result = spawnSync(process.execPath, [CLI, ...args], {
+    cwd: PROJECT_DIR,
+    env: { PATH: '/usr/bin:/bin', HOME: HOME_DIR, CI: '1' },
+    input: '',
+    encoding: 'utf-8',
+    timeout: 30000,
+  });
+  return { exitCode: result.status, output: (result.stdout || '') + (result.stderr || '') };
+}
+
+function readPath(path) {
+  const fullPath = path.startsWith('~/') ? join(HOME_DIR, path.slice(2)) : join(PROJECT_DIR, path);
+  return existsSync(fullPath) ? readFileSync(fullPath, 'utf-8') : null;
+}
+
+// Number of .backup-<timestamp> files under HOME
+function countBackups(dir = HOME_DIR) {
+  return readdirSync(dir, { withFileTypes: true }).reduce((count, entry) => {
+    if (entry.isDirectory()) return count + countBackups(join(dir, entry.name));
+    return count + (/\.backup-/.test(entry.name) ? 1 : 0);
+  }, 0);
+}
+
+// Dotted path into a parsed JSON value, e.g. "results.0.status"
+function get(value, path) {
+  return path.split('.').reduce((current, key) => current?.[key], value);
+}
+
+function runTests() {
+  console.log('\n  CLI Tests\n');
+  console.log('  ' + '='.repeat(50) + '\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  for (const testCase of testCases) {
+    setupTestDir(testCase.files);
+    const errors = [];
+
+    for (const step of testCase.before || []) {
+      if (!Array.isArray(step)) {
+        writeFiles(step);
+        continue;
+      }
+      const { exitCode, output } = runCLI(step);
+      if (exitCode !== 0) errors.push(`setup "${step.join(' ')}" exited with ${exitCode}: ${output.trim().split('\n').pop()}`);
+    }
+    writeFiles(testCase.edits || {});
+
+    const { exitCode, output } = runCLI(testCase.args);
+    const expected = testCase.expected;
+
+    if (exitCode !== (expected.exitCode ?? 0)) {
+      errors.push(`Exit code: expected ${expected.exitCode ?? 0}, got ${exitCode}`);
+    }
+    for (const text of expected.output || []) {
+      if (!output.includes(text)) errors.push(`Output: expected to include "${text}"`);
+    }
+    for (const text of expected.notOutput || []) {
+      if (output.includes(text)) errors.push(`Output: expected not to include "${text}"`);
+    }
+    if (expected.json) {
+      let json = null;
+      try {
+        json = JSON.parse(output);
+      } catch {
+        errors.push(`Output is not JSON: ${output.trim().split('\n')[0]}`);
+      }
+      for (const [path, value] of Object.entries(json ? expected.json : {})) {
+        const actual = get(json, path);
+        if (JSON.stringify(actual) !== JSON.stringify(value)) {
+          errors.push(`JSON ${path}: expected ${JSON.stringify(value)}, got ${JSON.stringify(actual)}`);
+        }
+      }
+    }
+    // true: exists, false: does not, string: content includes it
+    for (const [path, value] of Object.entries(expected.files || {})) {
+      const content = readPath(path);
+      if (value === true && content === null) errors.push(`${path}: expected to exist`);
+      if (value === false && content !== null) errors.push(`${path}: expected not to exist`);
+      if (typeof value === 'string' && !content?.includes(value)) errors.push(`${path}: expected to include "${value}"`);
+    }
+    if (expected.backups !== undefined && countBackups() !== expected.backups) {
+      errors.push(`Backups: expected ${expected.backups}, got ${countBackups()}`);
+    }
+    for (const [path, texts] of Object.entries(expected.fileExcludes || {})) {
+      const content = readPath(path) || '';
+      for (const text of texts) {
+        if (content.includes(text)) errors.push(`${path}: expected not to include "${text}"`);
+      }
+    }
+
+    if (errors.length === 0) {
+      console.log(`  [PASS] ${testCase.name}`);
+      passed++;
+    } else {
+      console.log(`  [FAIL] ${testCase.name}`);
+      for (const error of errors) {
+        console.log(`         - ${error}`);
+      }
+      failed++;
+    }
+  }
+
+  // Cleanup
+  if (existsSync(TEST_DIR)) {
+    rmSync(TEST_DIR, { recursive: true });
+  }
+
+  console.log('\n  ' + '='.repeat(50));
+  console.log(`\n  Results: ${passed} passed, ${failed} failed\n`);
+
+  return failed === 0;
+}
+
+// Run tests
+process.exit(runTests() ? 0 : 1);
@@ -0,0 +1,98 @@
+#!/usr/bin/env node
+/**
+ * Test script for the three-way merge of global templates
+ */
+
+import { mergeThreeWay } from '../src/merge.js';
+
+// Test scenarios
+const testCases = [
+  {
+    name: 'Clean merge of changes to different lines',
+    base: 'a\nb\nc\nd\n',
+    ours: 'a\nB\nc\nd\n',
+    theirs: 'a\nb\nc\nD\n',
+    expected: { content: 'a\nB\nc\nD\n', conflicts: 0 },
+  },
+  {
+    name: 'Template addition at the end of an edited file',
+    base: '# Title\n\nbody\n',
+    ours: '# My title\n\nbody\n',
+    theirs: '# Title\n\nbody\n\n## New section\n',
+    expected: { content: '# My title\n\nbody\n\n## New section\n', conflicts: 0 },
+  },
+  {
+    name: 'Conflict when both sides change the same line',
+    base: 'a\nb\nc\n',
+    ours: 'a\nmine\nc\n',
+    theirs: 'a\ntheirs\nc\n',
+    expected: { content: 'a\n<<<<<<< yours\nmine\n=======\ntheirs\n>>>>>>> template\nc\n', conflicts: 1 },
+  },
+  {
+    name: 'Conflict when both sides add lines at the end of file',
+    base: 'a\nb\n',
+    ours: 'a\nb\nmine\n',
+    theirs: 'a\nb\n\ntheirs\n',
+    expected: { content: 'a\nb\n<<<<<<< yours\nmine\n=======\n\ntheirs\n>>>>>>> template\n', conflicts: 1 },
+  },
+  {
+    name: 'Conflict when both sides add different lines after a blank line at the end',
+    base: 'a\n\n',
+    ours: 'a\n\nmine\n',
+    theirs: 'a\n\ntheirs\n',
+    expected: { content: 'a\n\n<<<<<<< yours\nmine\n=======\ntheirs\n>>>>>>> template\n', conflicts: 1 },
+  },
+  {
+    name: 'Identical edits on both sides',
+    base: 'a\nb\nc\n',
+    ours: 'a\nsame\nc\nadded\n',
+    theirs: 'a\nsame\nc\nadded\n',
+    expected: { content: 'a\nsame\nc\nadded\n', conflicts: 0 },
+  },
+  {
+    name: 'Final newline removed on one side',
+    base: 'a\nb\n',
+    ours: 'a\nb',
+    theirs: 'a\nB\n',
+    expected: { content: 'a\nB', conflicts: 0 },
+  },
+];
+
+function runTests() {
+  console.log('\n  Merge Tests\n');
+  console.log('  ' + '='.repeat(50) + '\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  for (const testCase of testCases) {
+    const result = mergeThreeWay(testCase.base, testCase.ours, testCase.theirs);
+    const errors = [];
+
+    if (result.content !== testCase.expected.content) {
+      errors.push(`Content: expected ${JSON.stringify(testCase.expected.content)}, got ${JSON.stringify(result.content)}`);
+    }
+    if (result.conflicts !== testCase.expected.conflicts) {
+      errors.push(`Conflicts: expected ${testCase.expected.conflicts}, got ${result.conflicts}`);
+    }
+
+    if (errors.length === 0) {
+      console.log(`  [PASS] ${testCase.name}`);
+      passed++;
+    } else {
+      console.log(`  [FAIL] ${testCase.name}`);
+      for (const error of errors) {
+        console.log(`         - ${error}`);
+      }
+      failed++;
+    }
+  }
+
+  console.log('\n  ' + '='.repeat(50));
+  console.log(`\n  Results: ${passed} passed, ${failed} failed\n`);
+
+  return failed === 0;
+}
+
+// Run tests
+process.exit(runTests() ? 0 : 1);